@@ -0,0 +1,188 @@
+/**
+ * API access control
+ *
+ * Decides who may call `/api/*`. With TOKEN_ENCRYPTION_KEY set, the accounts and
+ * sessions in users.js apply. Otherwise the deployment belongs to one person and is
+ * locked as soon as APP_PASSPHRASE, TOTP_SECRET or API_KEYS is set:
+ * - The PWA signs in with the passphrase and/or a TOTP code and gets a signed,
+ *   stateless session cookie (an HMAC over its expiry time). The HMAC key comes from
+ *   the SESSION_SECRET secret, so a stolen cookie can't be used to guess the
+ *   passphrase offline; rotating SESSION_SECRET signs every device out.
+ * - Scripts send one of the comma-separated API_KEYS as `Authorization: Bearer <key>`
+ *   or `X-API-Key: <key>`.
+ * With none of them set the API stays open.
+ *
+ * ALLOWED_ORIGINS (comma-separated) limits which origins CORS lets read responses.
+ */
+
+import { SESSION_TTL, SESSION_SECRET_MIN_LENGTH, TOTP_STEP, TOTP_DIGITS, TOTP_DRIFT_STEPS, LOGIN_MAX_FAILURES, LOGIN_LOCKOUT } from './config.js';
+import { AccountError, isMultiUser, resolveUserEnv, sessionTokenFrom, sha256Hex, timingSafeEqual, base64url } from './users.js';
+
+export function accessControlEnabled(env) {
+  return isMultiUser(env) || Boolean(env.APP_PASSPHRASE || env.TOTP_SECRET || env.API_KEYS);
+}
+
+// What the sign-in screen should ask for. In multi-user mode APP_PASSPHRASE is the
+// team passphrase needed to create an account.
+export function loginMethods(env) {
+  const accounts = isMultiUser(env);
+  return { accounts, passphrase: Boolean(env.APP_PASSPHRASE), totp: !accounts && Boolean(env.TOTP_SECRET) };
+}
+
+/**
+ * Returns the env to handle the request with, or null when it isn't signed in.
+ * In multi-user mode that's the signed-in user's env (see users.js).
+ */
+export async function authorizeRequest(request, env) {
+  if (isMultiUser(env)) return resolveUserEnv(request, env);
+  if (!accessControlEnabled(env)) return env;
+
+  if (await hasValidApiKey(request, env)) return env;
+  const token = sessionTokenFrom(request);
+  return token && await verifySessionToken(env, token) ? env : null;
+}
+
+async function hasValidApiKey(request, env) {
+  const key = request.headers.get('X-API-Key') || sessionTokenFrom(request);
+  if (!key || !env.API_KEYS) return false;
+
+  const keyHash = await sha256Hex(key);
+  const validKeys = env.API_KEYS.split(',').map(k => k.trim()).filter(Boolean);
+  let valid = false;
+  for (const validKey of validKeys) {
+    // Compare hashes so every check takes the same time whatever the key length
+    if (timingSafeEqual(keyHash, await sha256Hex(validKey))) valid = true;
+  }
+  return valid;
+}
+
+// ============ PASSPHRASE & TOTP SIGN-IN ============
+
+// In multi-user mode APP_PASSPHRASE, when set, is needed to create an account
+export async function checkTeamPassphrase(env, passphrase) {
+  if (!env.APP_PASSPHRASE) return;
+  if (!timingSafeEqual(await sha256Hex(String(passphrase ?? '')), await sha256Hex(env.APP_PASSPHRASE))) {
+    throw new AccountError('Wrong team passphrase', 401);
+  }
+}
+
+/**
+ * Checks the passphrase and/or TOTP code and returns a signed session token.
+ */
+export async function passphraseLogin(env, { passphrase, code }) {
+  if (!env.APP_PASSPHRASE && !env.TOTP_SECRET) {
+    throw new AccountError('Sign-in is not enabled on this deployment', 404);
+  }
+  if (!hasSessionSecret(env)) {
+    throw new AccountError(`Sign-in needs a SESSION_SECRET of at least ${SESSION_SECRET_MIN_LENGTH} random characters`, 500);
+  }
+  const passphraseOk = !env.APP_PASSPHRASE
+    || timingSafeEqual(await sha256Hex(String(passphrase ?? '')), await sha256Hex(env.APP_PASSPHRASE));
+  const codeOk = !env.TOTP_SECRET || await verifyTotp(env.TOTP_SECRET, String(code ?? ''));
+  if (!passphraseOk || !codeOk) {
+    throw new AccountError(env.TOTP_SECRET ? 'Wrong passphrase or code' : 'Wrong passphrase', 401);
+  }
+  return signSessionToken(env, Math.floor(Date.now() / 1000) + SESSION_TTL);
+}
+
+function hasSessionSecret(env) {
+  return typeof env.SESSION_SECRET === 'string' && env.SESSION_SECRET.length >= SESSION_SECRET_MIN_LENGTH;
+}
+
+// Sessions are "{expires}.{signature}". The key comes from SESSION_SECRET plus the sign-in
+// secrets, so changing any of them signs every device out.
+async function sessionKey(env) {
+  const material = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`session\n${env.SESSION_SECRET}\n${env.APP_PASSPHRASE || ''}\n${env.TOTP_SECRET || ''}`));
+  return crypto.subtle.importKey('raw', material, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+}
+
+async function signSessionToken(env, expires) {
+  const signature = await crypto.subtle.sign('HMAC', await sessionKey(env), new TextEncoder().encode(String(expires)));
+  return `${expires}.${base64url(new Uint8Array(signature))}`;
+}
+
+async function verifySessionToken(env, token) {
+  if ((!env.APP_PASSPHRASE && !env.TOTP_SECRET) || !hasSessionSecret(env)) return false;
+  const [expires] = token.split('.');
+  if (!/^\d+$/.test(expires) || Number(expires) < Date.now() / 1000) return false;
+  return timingSafeEqual(token, await signSessionToken(env, expires));
+}
+
+/**
+ * RFC 6238 TOTP code (HMAC-SHA1) for a base32 secret at the given Unix time.
+ */
+export async function totpCode(secret, time = Date.now() / 1000) {
+  const counter = new ArrayBuffer(8);
+  new DataView(counter).setBigUint64(0, BigInt(Math.floor(time / TOTP_STEP)));
+  const key = await crypto.subtle.importKey('raw', base32Decode(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+  const mac = new Uint8Array(await crypto.subtle.sign('HMAC', key, counter));
+
+  const offset = mac[mac.length - 1] & 0x0f;
+  const binary = ((mac[offset] & 0x7f) << 24) | (mac[offset + 1] << 16) | (mac[offset + 2] << 8) | mac[offset + 3];
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+async function verifyTotp(secret, code) {
+  const now = Date.now() / 1000;
+  let valid = false;
+  for (let step = -TOTP_DRIFT_STEPS; step <= TOTP_DRIFT_STEPS; step++) {
+    if (timingSafeEqual(code.replace(/\s/g, ''), await totpCode(secret, now + step * TOTP_STEP))) valid = true;
+  }
+  return valid;
+}
+
+function base32Decode(secret) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+  for (const char of secret.toUpperCase().replace(/[\s=-]/g, '')) {
+    const index = alphabet.indexOf(char);
+    if (index === -1) throw new Error('TOTP_SECRET is not valid base32');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+// ============ LOGIN THROTTLING ============
+
+/**
+ * Runs a sign-in attempt, counting failures per client IP. After LOGIN_MAX_FAILURES
+ * failures, sign-ins from that IP are refused until LOGIN_LOCKOUT has passed.
+ */
+export async function throttleLogin(request, env, attempt) {
+  const key = `login-failures:${request.headers.get('CF-Connecting-IP') || 'unknown'}`;
+  const failures = Number(await env.KV.get(key) || 0);
+  if (failures >= LOGIN_MAX_FAILURES) {
+    throw new AccountError(`Too many failed sign-ins. Try again in ${LOGIN_LOCKOUT / 60} minutes.`, 429);
+  }
+
+  try {
+    const result = await attempt();
+    if (failures) await env.KV.delete(key);
+    return result;
+  } catch (error) {
+    if (error instanceof AccountError && error.status === 401) {
+      await env.KV.put(key, String(failures + 1), { expirationTtl: LOGIN_LOCKOUT });
+    }
+    throw error;
+  }
+}
+
+// ============ CORS ============
+
+// `*` unless ALLOWED_ORIGINS is set; then only listed origins get an Allow-Origin header
+export function corsOriginHeaders(request, env) {
+  if (!env.ALLOWED_ORIGINS) return { 'Access-Control-Allow-Origin': '*' };
+
+  const origin = request.headers.get('Origin');
+  const allowed = env.ALLOWED_ORIGINS.split(',').map(o => o.trim().replace(/\/$/, ''));
+  return origin && allowed.includes(origin)
+    ? { 'Access-Control-Allow-Origin': origin, 'Vary': 'Origin' }
+    : { 'Vary': 'Origin' };
+}
@@ -0,0 +1,102 @@
+/**
+ * Tests for API access control
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { authorizeRequest, passphraseLogin, totpCode, throttleLogin, corsOriginHeaders } from './auth.js';
+import { AccountError } from './users.js';
+import { LOGIN_MAX_FAILURES } from './config.js';
+
+function createMockKV(store = {}) {
+  return {
+    get: vi.fn(async key => store[key] ?? null),
+    put: vi.fn(async (key, value) => { store[key] = value; }),
+    delete: vi.fn(async key => { delete store[key]; }),
+    _store: store,
+  };
+}
+
+// RFC 6238 test secret ("12345678901234567890" in base32)
+const TOTP_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const SESSION_SECRET = 'test-session-secret-0123456789abcdef';
+const request = (headers = {}) => new Request('https://example.com/api/feed', { headers });
+
+describe('auth', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('computes RFC 6238 TOTP codes', async () => {
+    expect(await totpCode(TOTP_SECRET, 59)).toBe('287082');
+    expect(await totpCode(TOTP_SECRET, 1111111109)).toBe('081804');
+    expect(await totpCode(TOTP_SECRET, 1234567890)).toBe('005924');
+  });
+
+  it('leaves the API open when nothing is configured', async () => {
+    const env = { KV: createMockKV() };
+    expect(await authorizeRequest(request(), env)).toBe(env);
+  });
+
+  it('issues a signed session for the right passphrase and code', async () => {
+    vi.useFakeTimers({ now: new Date(1234567890 * 1000) });
+    const env = { APP_PASSPHRASE: 'open sesame', TOTP_SECRET, SESSION_SECRET, KV: createMockKV() };
+
+    await expect(passphraseLogin(env, { passphrase: 'open sesame', code: '000000' })).rejects.toMatchObject({ status: 401 });
+    await expect(passphraseLogin(env, { passphrase: 'wrong', code: '005924' })).rejects.toMatchObject({ status: 401 });
+    const token = await passphraseLogin(env, { passphrase: 'open sesame', code: '005924' });
+
+    expect(await authorizeRequest(request({ Cookie: `session=${token}` }), env)).toBe(env);
+    expect(await authorizeRequest(request({ Cookie: `session=${token.replace(/.$/, 'x')}` }), env)).toBeNull();
+    // Changing the passphrase signs existing sessions out
+    expect(await authorizeRequest(request({ Cookie: `session=${token}` }), { ...env, APP_PASSPHRASE: 'new' })).toBeNull();
+    // So does rotating SESSION_SECRET
+    expect(await authorizeRequest(request({ Cookie: `session=${token}` }), { ...env, SESSION_SECRET: `${SESSION_SECRET}-rotated` })).toBeNull();
+  });
+
+  it('refuses to sign in without a long enough SESSION_SECRET', async () => {
+    for (const secret of [undefined, 'too-short']) {
+      const env = { APP_PASSPHRASE: 'open sesame', SESSION_SECRET: secret, KV: createMockKV() };
+      await expect(passphraseLogin(env, { passphrase: 'open sesame' })).rejects.toMatchObject({ status: 500 });
+    }
+  });
+
+  it('rejects expired sessions', async () => {
+    const env = { APP_PASSPHRASE: 'open sesame', SESSION_SECRET, KV: createMockKV() };
+    vi.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    const token = await passphraseLogin(env, { passphrase: 'open sesame' });
+
+    vi.setSystemTime(new Date('2026-03-01T00:00:00Z'));
+    expect(await authorizeRequest(request({ Cookie: `session=${token}` }), env)).toBeNull();
+  });
+
+  it('accepts configured API keys as bearer or X-API-Key', async () => {
+    const env = { API_KEYS: 'key-one, key-two', KV: createMockKV() };
+    expect(await authorizeRequest(request({ Authorization: 'Bearer key-two' }), env)).toBe(env);
+    expect(await authorizeRequest(request({ 'X-API-Key': 'key-one' }), env)).toBe(env);
+    expect(await authorizeRequest(request({ 'X-API-Key': 'key-three' }), env)).toBeNull();
+    expect(await authorizeRequest(request(), env)).toBeNull();
+  });
+
+  it('locks out an IP after too many failed sign-ins', async () => {
+    const env = { KV: createMockKV() };
+    const fail = () => throttleLogin(request({ 'CF-Connecting-IP': '203.0.113.9' }), env, async () => {
+      throw new AccountError('Wrong passphrase', 401);
+    });
+    for (let i = 0; i < LOGIN_MAX_FAILURES; i++) await expect(fail()).rejects.toMatchObject({ status: 401 });
+
+    await expect(fail()).rejects.toMatchObject({ status: 429 });
+    const otherIp = request({ 'CF-Connecting-IP': '198.51.100.4' });
+    await expect(throttleLogin(otherIp, env, async () => 'ok')).resolves.toBe('ok');
+  });
+
+  it('only allows listed CORS origins when ALLOWED_ORIGINS is set', () => {
+    const env = { ALLOWED_ORIGINS: 'https://audio.example.com, https://tools.example.com/' };
+    const from = origin => corsOriginHeaders(new Request('https://example.com/api/feed', { headers: { Origin: origin } }), env);
+
+    expect(corsOriginHeaders(request(), {})).toEqual({ 'Access-Control-Allow-Origin': '*' });
+    expect(from('https://tools.example.com')['Access-Control-Allow-Origin']).toBe('https://tools.example.com');
+    expect(from('https://evil.example.net')['Access-Control-Allow-Origin']).toBeUndefined();
+  });
+});
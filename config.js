@@ -2,8 +2,33 @@
 export const CLAUDE_MODEL = 'claude-3-haiku-20240307';
 export const SUMMARY_WORD_TARGET = 120;
 export const MAX_ARTICLES = 50;
+export const READWISE_PAGE_SIZE = 20; // Documents per location per /api/feed page
+
+// Readwise API client
+// Requests per minute, per Reader's documented limits: 50 for document updates, 20 for
+// everything else (list, delete, ...)
+export const READWISE_RATE_LIMITS = { default: 20, update: 50 };
+export const READWISE_MAX_RETRIES = 3;
+export const READWISE_RETRY_BASE_MS = 1000; // Back-off doubles on each retry
+export const READWISE_MAX_RETRY_WAIT_MS = 10000; // Longer Retry-After waits fail with 429 instead of stalling the request
+export const READWISE_CATEGORIES = ['article', 'email', 'rss', 'pdf', 'epub', 'tweet', 'video'];
 export const SUMMARY_CACHE_TTL = 60 * 60 * 24 * 30; // 30 days
 
+// Summarization backends. `local` points at an OpenAI-compatible chat server
+// (Ollama, llama.cpp, vLLM, ...) via the LOCAL_LLM_BASE_URL secret.
+export const SUMMARIZER_BACKENDS = {
+  anthropic: { type: 'anthropic', baseUrl: 'https://api.anthropic.com/v1', apiKeyEnv: 'CLAUDE_API_KEY' },
+  openai: { type: 'openai-compatible', baseUrl: 'https://api.openai.com/v1', apiKeyEnv: 'OPENAI_API_KEY' },
+  local: { type: 'openai-compatible', baseUrlEnv: 'LOCAL_LLM_BASE_URL', apiKeyEnv: 'LOCAL_LLM_API_KEY' },
+};
+
+// Backend and model per Readwise location; `default` covers locations not listed.
+export const SUMMARIZER_BY_LOCATION = {
+  default: { backend: 'anthropic', model: CLAUDE_MODEL },
+  feed: { backend: 'anthropic', model: CLAUDE_MODEL },
+  later: { backend: 'anthropic', model: 'claude-3-5-sonnet-20241022' },
+};
+
 export const SYSTEM_PROMPT = `You are a concise audio news summarizer. Create a spoken summary of the article that:
 - Is approximately ${SUMMARY_WORD_TARGET} words (about 30 seconds when read aloud)
 - Captures the key insight or news
@@ -12,3 +37,177 @@ export const SYSTEM_PROMPT = `You are a concise audio news summarizer. Create a
 - Uses simple, clear language
 
 Respond with ONLY the summary text, nothing else.`;
+
+// Long articles are summarized section by section, then combined into the final summary
+export const SUMMARY_SECTION_CHARS = 8000;
+export const SUMMARY_MAX_SECTIONS = 8; // Sections grow beyond SUMMARY_SECTION_CHARS to stay under this
+export const SECTION_SUMMARY_PROMPT = `You summarize one section of a longer article so the sections can be combined later. In about 100 words, state the section's key points, facts, names and any notable quotes. Plain prose, no preamble, no formatting.
+
+Respond with ONLY the section summary, nothing else.`;
+
+// Named summary styles, selectable per request via /api/feed?style=
+export const DEFAULT_SUMMARY_STYLE = 'standard';
+export const SUMMARY_STYLES = {
+  headline: {
+    label: 'Headline',
+    maxTokens: 80,
+    prompt: `You write one-sentence audio headlines. Capture the single most important point of the article in one plain spoken sentence of at most 25 words. No preamble, no quotes, no formatting.
+
+Respond with ONLY the sentence, nothing else.`,
+  },
+  standard: {
+    label: '30-second summary',
+    maxTokens: 300,
+    prompt: SYSTEM_PROMPT,
+  },
+  deep: {
+    label: '2-minute deep dive',
+    maxTokens: 800,
+    prompt: `You are a thoughtful audio news narrator. Create a spoken deep dive of the article that:
+- Is approximately 300 words (about two minutes when read aloud)
+- Explains the main argument, the key evidence and why it matters
+- Mentions notable counterpoints or open questions if the article raises them
+- Is written for listening (natural speech, no bullet points or formatting)
+- Starts directly with the content (no "This article discusses...")
+
+Respond with ONLY the narration text, nothing else.`,
+  },
+  quotes: {
+    label: 'Key quotes',
+    maxTokens: 400,
+    prompt: `You pick the three most important quotes from an article for an audio briefing. Quote each passage exactly as written in the article, and introduce each with a short spoken lead-in such as "First," "Second," and "Finally,". Write for listening: no bullet points, no quotation marks, no formatting.
+
+Respond with ONLY the spoken text, nothing else.`,
+  },
+};
+
+// Background summarization queue
+export const SUMMARY_QUEUE_BATCH = 10; // Articles summarized per cron run
+export const SUMMARY_QUEUE_KICK_BATCH = 3; // Articles summarized after a feed/poll request
+export const SUMMARY_QUEUE_TTL = 60 * 60 * 24; // 1 day
+export const SUMMARY_QUEUE_MAX_ATTEMPTS = 3;
+
+// Morning pre-sync (must match a cron in wrangler.toml)
+export const PRESYNC_CRON = '30 5 * * *'; // 05:30 UTC, before the commute
+export const PRESYNC_LOCATIONS = ['all', 'feed', 'library'];
+export const PRESYNC_MAX_SUMMARIES = 30; // Claude calls per pre-sync run
+export const SYNC_SNAPSHOT_TTL = 60 * 60 * 4; // Pre-synced article lists expire after 4 hours
+
+// Undo: archive, delete and later actions can be reversed for this long. Readwise
+// deletes are permanent, so they're held back until the window has passed.
+export const UNDO_WINDOW = 60 * 5; // Seconds (KV's minimum TTL is 60)
+export const PENDING_DELETE_TTL = 60 * 60 * 24; // Held deletes not run by then are dropped
+
+// Player actions: one-tap Reader tags and dictated notes
+export const QUICK_TAGS = ['research', 'work', 'to-share', 'follow-up'];
+export const NOTE_MAX_CHARS = 2000;
+export const HIGHLIGHT_MAX_CHARS = 8191; // Readwise's limit for highlight text and notes
+
+// Listening progress written back to Reader's reading_progress
+export const PROGRESS_SYNC_STEP = 0.05; // Full-read progress is sent after every 5% of the article
+export const SUMMARY_HEARD_PROGRESS = 0.01; // Marks an article as started in Reader once its summary is heard (opt-in)
+
+// Request validation. Reader document IDs are 26-character ULIDs; any short URL-safe
+// ID is accepted so the pattern doesn't have to track Readwise's format.
+export const DOCUMENT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Offline use: the service worker's app shell cache (bump to drop old copies) and how many
+// upcoming summaries "Download for offline" fetches audio for
+export const SHELL_CACHE_VERSION = 'v1';
+export const OFFLINE_DOWNLOAD_COUNT = 10;
+
+// Batch triage (/api/batch)
+export const BATCH_MAX_OPERATIONS = 100;
+export const BATCH_CONCURRENCY = 4; // Parallel Readwise calls; the client's request budget still applies
+
+// Multi-user mode (on when the TOKEN_ENCRYPTION_KEY secret is set)
+export const SESSION_TTL = 60 * 60 * 24 * 30; // Sign-ins last 30 days
+export const PASSWORD_MIN_LENGTH = 8;
+export const PASSWORD_HASH_ITERATIONS = 100000; // PBKDF2-SHA256; Workers cap this at 100,000
+export const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{2,31}$/;
+
+// Single-user sign-in (APP_PASSPHRASE / TOTP_SECRET) and failed-login throttling
+export const TOTP_STEP = 30; // Seconds per code
+export const TOTP_DIGITS = 6;
+export const TOTP_DRIFT_STEPS = 1; // Codes from one step either side are accepted for clock drift
+export const LOGIN_MAX_FAILURES = 10; // Failed sign-ins per IP before it's locked out
+export const LOGIN_LOCKOUT = 60 * 15; // Seconds
+export const SESSION_SECRET_MIN_LENGTH = 32; // Signs single-user sessions; e.g. `openssl rand -base64 32`
+
+// Incremental sync: only documents updated since the stored cursor are fetched
+export const SYNC_CURSOR_TTL = 60 * 60 * 24 * 30; // Unused cursors expire after 30 days
+export const SYNC_MAX_CHANGES = 100; // More changes than this falls back to a full sync
+export const SYNC_CURSOR_MAX_IDS = 500; // Known article IDs remembered per client and location
+export const SYNC_CLIENT_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/; // Chosen by each app install
+
+// Text-to-speech
+// Providers speak the OpenAI `/audio/speech` protocol. `local` points at a self-hosted
+// OpenAI-compatible server (Kokoro, Piper, ...) via the LOCAL_TTS_BASE_URL secret.
+export const DEFAULT_TTS_PROVIDER = 'openai';
+export const TTS_PROVIDERS = {
+  openai: {
+    label: 'OpenAI',
+    type: 'openai',
+    baseUrl: 'https://api.openai.com/v1',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    model: 'gpt-4o-mini-tts',
+    defaultVoice: 'alloy',
+    supportsInstructions: true,
+    voices: [
+      { id: 'alloy', label: 'Alloy (Neutral)' },
+      { id: 'echo', label: 'Echo (Male)' },
+      { id: 'shimmer', label: 'Shimmer (Female)' },
+      { id: 'ash', label: 'Ash (Deep)' },
+      { id: 'ballad', label: 'Ballad (Warm)' },
+      { id: 'coral', label: 'Coral (Bright)' },
+      { id: 'sage', label: 'Sage (Calm)' },
+      { id: 'verse', label: 'Verse (Crisp)' },
+    ],
+  },
+  local: {
+    label: 'Local',
+    type: 'openai-compatible',
+    baseUrlEnv: 'LOCAL_TTS_BASE_URL', // e.g. http://tts.example.com:8880/v1
+    apiKeyEnv: 'LOCAL_TTS_API_KEY', // Optional
+    model: 'kokoro',
+    defaultVoice: 'af_heart',
+    supportsInstructions: false,
+    voices: [
+      { id: 'af_heart', label: 'Heart (Female, US)' },
+      { id: 'af_bella', label: 'Bella (Female, US)' },
+      { id: 'am_michael', label: 'Michael (Male, US)' },
+      { id: 'bf_emma', label: 'Emma (Female, UK)' },
+      { id: 'bm_george', label: 'George (Male, UK)' },
+    ],
+  },
+};
+
+export const TTS_CACHE_TTL = 60 * 60 * 24 * 7; // 7 days
+export const TTS_FORMATS = { mp3: 'audio/mpeg', opus: 'audio/ogg', aac: 'audio/aac' };
+export const TTS_MIN_SPEED = 0.25;
+export const TTS_MAX_SPEED = 4.0;
+export const TTS_MAX_INSTRUCTIONS = 1000; // chars
+export const TTS_SEGMENT_CHARS = 4096; // OpenAI's per-request input limit
+export const TTS_MAX_INPUT_CHARS = 100000; // Longer text is rejected rather than truncated
+
+// Delivery presets offered next to the voice dropdown (sent as TTS `instructions`)
+export const TTS_DELIVERY_STYLES = {
+  default: { label: 'Default', instructions: '' },
+  calm: { label: 'Calm newsreader', instructions: 'Speak like a calm, measured radio newsreader. Even pace, warm and unhurried, with clear pauses between sentences.' },
+  energetic: { label: 'Energetic', instructions: 'Speak with bright, upbeat energy, like an enthusiastic podcast host. Keep it lively but clear.' },
+};
+
+// Usage metering (/api/usage). Prices are USD per million tokens (summaries) or per
+// million characters (TTS) and only feed the cost estimates; models not listed here,
+// such as self-hosted ones, count as free.
+export const USAGE_PRICES = {
+  'claude-3-haiku-20240307': { input_tokens: 0.25, output_tokens: 1.25 },
+  'claude-3-5-sonnet-20241022': { input_tokens: 3, output_tokens: 15 },
+  'gpt-4o-mini': { input_tokens: 0.15, output_tokens: 0.6 },
+  'gpt-4o-mini-tts': { characters: 15 }, // About $0.015 per minute of audio
+};
+export const USAGE_LOG_TTL = 60 * 60 * 24 * 90; // Per-call records
+export const USAGE_DAY_TTL = 60 * 60 * 24 * 90; // Daily totals
+export const USAGE_MONTH_TTL = 60 * 60 * 24 * 400; // Monthly totals
+export const USAGE_MAX_DAYS = 90; // Longest daily breakdown /api/usage returns
+export const USAGE_MAX_CALLS = 500; // Most per-call records /api/usage returns
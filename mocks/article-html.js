@@ -0,0 +1,43 @@
+/**
+ * Reader `html_content` fixtures
+ * Trimmed from real captures (withHtmlContent=true)
+ */
+
+// News feature: figure with caption, inline links, footnotes
+export const newsArticleHtml = `<div id="readability-page-1" class="page"><div>
+<header><h1>Trump’s ‘Year Zero’ Is Over. Now Comes the Reckoning</h1><p>By Matt Bai</p></header>
+<figure><img src="https://www.rollingstone.com/wp-content/uploads/2026/01/R1408_NATAFF.jpg?w=1600" alt="" width="1600" height="900"><figcaption>Voters at a rally in Pennsylvania, January 2026.</figcaption></figure>
+<p>A year ago, the administration promised a clean break with the past &mdash; a “Year Zero” for American government.<sup><a href="#fn1" id="ref1">1</a></sup> Now the bills are coming due.</p>
+<p>According to <a href="https://www.pewresearch.org/politics/2026/01/15/approval/">a Pew survey</a>, approval has slipped in every region of the U.S. since the summer, i.e. well before the shutdown.</p>
+<p>Advertisement</p>
+<h2>What changed?</h2>
+<p>Dr. Ellen Park, a political scientist, says voters care about prices, rents, etc. more than rhetoric. Read the full data at https://www.example.org/data/approval-2026.csv.</p>
+<section class="footnotes"><ol><li id="fn1">The phrase was first used in a campaign memo. <a href="#ref1">↩</a></li></ol></section>
+</div></div>`;
+
+// Technical blog post: code blocks, a small table and a large one
+export const techPostHtml = `<div id="readability-page-1" class="page"><article>
+<h1>Why our Worker timed out</h1>
+<p>We moved summarization off the request path. The fix was small:</p>
+<pre><code class="language-js">ctx.waitUntil(processSummaryQueue(env, 3));
+</code></pre>
+<p>Latency before and after:</p>
+<table><thead><tr><th>Metric</th><th>Before</th><th>After</th></tr></thead>
+<tbody><tr><td>p50</td><td>9.8s</td><td>180ms</td></tr><tr><td>p99</td><td>30s</td><td>420ms</td></tr></tbody></table>
+<p>The raw numbers for every endpoint:</p>
+<table><tr><td>a</td><td>1</td></tr><tr><td>b</td><td>2</td></tr><tr><td>c</td><td>3</td></tr><tr><td>d</td><td>4</td></tr><tr><td>e</td><td>5</td></tr><tr><td>f</td><td>6</td></tr><tr><td>g</td><td>7</td></tr></table>
+<p>Inline <code>KV.get</code> calls stay as they are &amp; nothing else changed.</p>
+</article></div>`;
+
+// Newsletter email: tracking pixels, share buttons and footer junk
+export const newsletterHtml = `<div id="readability-page-1" class="page"><div>
+<img src="https://email.example.com/open/abc123.gif" width="1" height="1" alt="">
+<table role="presentation"><tr><td><a href="https://twitter.com/share?u=abc">Share</a></td></tr></table>
+<p>Good morning! Here’s what you need to know today.</p>
+<p>Markets rallied on Tuesday after inflation came in below expectations vs. forecasts.</p>
+<p><a href="https://newsletter.example.com/p/today?utm_source=email&amp;utm_medium=newsletter">Read more</a></p>
+<p>Subscribe</p>
+<footer><p>You are receiving this because you signed up. <a href="https://newsletter.example.com/unsubscribe">Unsubscribe</a></p></footer>
+<script>window.tracker && window.tracker.open("abc123");</script>
+<style>.footer { color: #999; }</style>
+</div></div>`;
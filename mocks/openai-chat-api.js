@@ -0,0 +1,28 @@
+/**
+ * Mock OpenAI-compatible Chat Completions Response
+ */
+
+export const mockChatCompletionResponse = async (req) => {
+    const body = await req.json();
+    console.log(`[Mock Chat] generating summary with model: ${body.model}`);
+
+    return new Response(JSON.stringify({
+        id: "chatcmpl-mock123",
+        object: "chat.completion",
+        model: body.model,
+        choices: [
+            {
+                index: 0,
+                message: {
+                    role: "assistant",
+                    content: "This is a mock summary from an OpenAI-compatible chat endpoint. It stands in for a local model so the summarizer abstraction can be tested offline."
+                },
+                finish_reason: "stop"
+            }
+        ],
+        usage: { prompt_tokens: 60, completion_tokens: 35, total_tokens: 95 }
+    }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+    });
+};
@@ -3,6 +3,8 @@
  * Based on real curl capture
  */
 
+import { newsArticleHtml } from './article-html.js';
+
 export const mockReadwiseList = async (req) => {
     console.log('[Mock Readwise] serving list request');
 
@@ -53,6 +55,7 @@ export const mockReadwiseList = async (req) => {
             "summary": "Donald Trump’s second term brought a harsh and radical change to America...",
             "image_url": "https://www.rollingstone.com/wp-content/uploads/2026/01/R1408_NATAFF_Trump_VoterRemorse_A-copy.jpg?w=1600&h=900&crop=1",
             "content": null,
+            "html_content": newsArticleHtml,
             "source_url": "https://www.rollingstone.com/politics/political-commentary/trump-year-zero-reckoning-1235500008/",
             "notes": "",
             "parent_id": null,
@@ -90,5 +93,32 @@ export const mockReadwiseDelete = async (req) => {
     const id = url.pathname.split('/')[4]; // /api/v3/delete/{id}/
     console.log(`[Mock Readwise] deleting article ${id}`);
 
-    return new Response(JSON.stringify({ success: true }), { status: 204 });
+    return new Response(null, { status: 204 });
+};
+
+// v2 highlights API: returns the books the highlights were added to
+export const mockReadwiseHighlights = async (req) => {
+    const { highlights } = await req.json();
+    console.log(`[Mock Readwise] creating ${highlights.length} highlight(s)`);
+
+    return new Response(JSON.stringify([{
+        id: 48213377,
+        title: highlights[0].title,
+        author: highlights[0].author,
+        category: highlights[0].category,
+        source: highlights[0].source_type,
+        num_highlights: highlights.length,
+        modified_highlights: highlights.map((_, i) => 912000001 + i),
+    }]), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+    });
+};
+
+// v2 auth check: 204 for a valid token, 401 otherwise
+export const mockReadwiseAuth = async (req) => {
+    const token = (req.headers.get('Authorization') || '').replace(/^Token /, '');
+    console.log('[Mock Readwise] checking access token');
+
+    return new Response(null, { status: token && token !== 'invalid-token' ? 204 : 401 });
 };
@@ -4,7 +4,8 @@
 
 export const mockTTSResponse = async (req) => {
     const body = await req.json();
-    console.log(`[Mock TTS] generating audio for voice: ${body.voice}, text length: ${body.text.length}`);
+    const text = body.input ?? body.text; // OpenAI sends `input`, the app's mock mode sends `text`
+    console.log(`[Mock TTS] generating audio for voice: ${body.voice}, text length: ${text.length}`);
 
     // Minimal MP3 header (valid enough to pass as a blob)
     const mockAudioData = new Uint8Array([
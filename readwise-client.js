@@ -0,0 +1,222 @@
+/**
+ * Readwise API client
+ *
+ * Every Readwise call goes through `readwiseRequest`, which adds the access token,
+ * spends from that token's per-minute request budget (shared by all concurrent calls
+ * in the isolate; updates and everything else have separate budgets, as at Readwise),
+ * retries 429s and 5xx responses with exponential back-off (honouring `Retry-After`),
+ * and raises typed errors that the router maps to HTTP statuses.
+ */
+
+import {
+  READWISE_RATE_LIMITS, READWISE_MAX_RETRIES, READWISE_RETRY_BASE_MS, READWISE_MAX_RETRY_WAIT_MS,
+} from './config.js';
+
+const API_BASE = 'https://readwise.io/api';
+const BUDGET_WINDOW_MS = 60 * 1000;
+
+// ============ ERRORS ============
+
+export class ReadwiseError extends Error {
+  constructor(message, { status = 502, upstreamStatus = null } = {}) {
+    super(message);
+    this.name = 'ReadwiseError';
+    this.status = status; // HTTP status the API responds with
+    this.upstreamStatus = upstreamStatus;
+  }
+}
+
+// The access token is missing, invalid or revoked
+export class ReadwiseAuthError extends ReadwiseError {
+  constructor(upstreamStatus) {
+    super('Readwise rejected the access token. Check READWISE_TOKEN.', { status: 401, upstreamStatus });
+    this.name = 'ReadwiseAuthError';
+  }
+}
+
+export class ReadwiseNotFoundError extends ReadwiseError {
+  constructor(path) {
+    super(`Readwise document not found: ${path}`, { status: 404, upstreamStatus: 404 });
+    this.name = 'ReadwiseNotFoundError';
+  }
+}
+
+// Readwise is throttling us; `retryAfter` is in seconds
+export class ReadwiseRateLimitError extends ReadwiseError {
+  constructor(retryAfter) {
+    super(`Readwise rate limit reached. Try again in ${retryAfter}s.`, { status: 429, upstreamStatus: 429 });
+    this.name = 'ReadwiseRateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Readwise is down, returned something unexpected, or could not be reached
+export class ReadwiseUpstreamError extends ReadwiseError {
+  constructor(message, upstreamStatus = null) {
+    super(message, { status: 502, upstreamStatus });
+    this.name = 'ReadwiseUpstreamError';
+  }
+}
+
+// ============ REQUEST BUDGET ============
+
+// Readwise rate-limits per access token, so each user's token gets its own budgets
+const budgets = new Map();
+
+// Tests share the module between cases
+export function resetReadwiseBudget() {
+  budgets.clear();
+}
+
+// Document updates have their own, higher limit at Readwise
+function budgetKind(method, path) {
+  return method === 'PATCH' && path.startsWith('/v3/update/') ? 'update' : 'default';
+}
+
+// Takes one request from the current window of the `kind` budget, queuing for the next
+// window when it's spent. Only Readwise's own 429s fail a request.
+async function acquireBudget(token, kind) {
+  const key = `${kind}:${token}`;
+  if (!budgets.has(key)) budgets.set(key, { windowStart: 0, used: 0 });
+  const budget = budgets.get(key);
+  for (;;) {
+    const now = Date.now();
+    if (now - budget.windowStart >= BUDGET_WINDOW_MS) {
+      budget.windowStart = now;
+      budget.used = 0;
+    }
+    if (budget.used < READWISE_RATE_LIMITS[kind]) {
+      budget.used++;
+      return;
+    }
+    await sleep(budget.windowStart + BUDGET_WINDOW_MS - now);
+  }
+}
+
+// ============ REQUESTS ============
+
+/**
+ * Calls the Readwise API and returns the parsed JSON body (null when there is none).
+ * @param {object} env - Worker env with READWISE_TOKEN
+ * @param {string} path - Path under https://readwise.io/api, e.g. "/v3/list/"
+ * @param {{ method?: string, params?: object, body?: object }} [options]
+ */
+export async function readwiseRequest(env, path, { method = 'GET', params, body } = {}) {
+  if (!env.READWISE_TOKEN) throw new ReadwiseAuthError(null);
+
+  const url = new URL(API_BASE + path);
+  for (const [key, value] of Object.entries(params || {})) {
+    if (value !== undefined && value !== null && value !== '') url.searchParams.set(key, value);
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    await acquireBudget(env.READWISE_TOKEN, budgetKind(method, path));
+
+    let response;
+    try {
+      response = await fetch(url.toString(), {
+        method,
+        headers: {
+          'Authorization': `Token ${env.READWISE_TOKEN}`,
+          'Content-Type': 'application/json',
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+    } catch (error) {
+      if (attempt < READWISE_MAX_RETRIES) {
+        await sleep(backoff(attempt));
+        continue;
+      }
+      throw new ReadwiseUpstreamError(`Could not reach Readwise: ${error.message}`);
+    }
+
+    if (response.ok) {
+      const text = await response.text();
+      try {
+        return text ? JSON.parse(text) : null;
+      } catch {
+        throw new ReadwiseUpstreamError('Readwise returned a response that is not JSON', response.status);
+      }
+    }
+    if (response.status === 401 || response.status === 403) throw new ReadwiseAuthError(response.status);
+    if (response.status === 404) throw new ReadwiseNotFoundError(path);
+
+    const retryable = response.status === 429 || response.status >= 500;
+    const wait = retryAfterMs(response) ?? backoff(attempt);
+    if (!retryable || attempt >= READWISE_MAX_RETRIES || wait > READWISE_MAX_RETRY_WAIT_MS) {
+      if (response.status === 429) throw new ReadwiseRateLimitError(Math.ceil(wait / 1000));
+      throw new ReadwiseUpstreamError(`Readwise API error: ${response.status}`, response.status);
+    }
+
+    console.log(`Readwise ${response.status} on ${path}, retrying in ${wait}ms`);
+    await sleep(wait);
+  }
+}
+
+/**
+ * Checks an access token against Readwise; throws ReadwiseAuthError when it's rejected.
+ */
+export async function verifyToken(token) {
+  await readwiseRequest({ READWISE_TOKEN: token }, '/v2/auth/');
+  return true;
+}
+
+/**
+ * Lists one page of Reader documents.
+ * @returns {Promise<{ results: object[], nextPageCursor: string|null }>}
+ */
+export async function listDocuments(env, params) {
+  const data = await readwiseRequest(env, '/v3/list/', { params });
+  return { results: data?.results || [], nextPageCursor: data?.nextPageCursor || null };
+}
+
+/**
+ * Fetches one Reader document with its HTML content, or null if it doesn't exist.
+ */
+export async function getDocument(env, id) {
+  const { results } = await listDocuments(env, { id, withHtmlContent: 'true' });
+  return results.find(doc => doc.id === id) || null;
+}
+
+export function updateDocument(env, id, updates) {
+  return readwiseRequest(env, `/v3/update/${id}/`, { method: 'PATCH', body: updates });
+}
+
+// Deleting a document that's already gone counts as success
+export async function deleteDocument(env, id) {
+  try {
+    await readwiseRequest(env, `/v3/delete/${id}/`, { method: 'DELETE' });
+  } catch (error) {
+    if (!(error instanceof ReadwiseNotFoundError)) throw error;
+  }
+  return true;
+}
+
+/**
+ * Saves one highlight through the v2 highlights API.
+ * @returns {Promise<{ bookId: number|null, highlightId: number|null }>}
+ */
+export async function createHighlight(env, highlight) {
+  const books = await readwiseRequest(env, '/v2/highlights/', { method: 'POST', body: { highlights: [highlight] } });
+  const book = books?.[0];
+  return { bookId: book?.id ?? null, highlightId: book?.modified_highlights?.[0] ?? null };
+}
+
+// ============ HELPERS ============
+
+function retryAfterMs(response) {
+  const header = response.headers.get('Retry-After');
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoff(attempt) {
+  return READWISE_RETRY_BASE_MS * 2 ** attempt;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
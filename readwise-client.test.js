@@ -0,0 +1,129 @@
+/**
+ * Tests for the shared Readwise API client
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  readwiseRequest,
+  listDocuments,
+  updateDocument,
+  deleteDocument,
+  resetReadwiseBudget,
+  ReadwiseAuthError,
+  ReadwiseNotFoundError,
+  ReadwiseRateLimitError,
+  ReadwiseUpstreamError,
+} from './readwise-client.js';
+import { READWISE_RATE_LIMITS, READWISE_MAX_RETRIES } from './config.js';
+
+const env = { READWISE_TOKEN: 'test-token' };
+
+// Queues responses for successive fetch calls; the last one repeats
+function respondWith(...responses) {
+  globalThis.fetch = vi.fn(async () => (responses.length > 1 ? responses.shift() : responses[0]).clone());
+}
+
+describe('readwise client', () => {
+  let originalFetch;
+
+  beforeEach(() => {
+    originalFetch = globalThis.fetch;
+    resetReadwiseBudget();
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+    vi.useRealTimers();
+  });
+
+  it('sends the token and drops empty params', async () => {
+    respondWith(Response.json({ results: [{ id: 'a' }], nextPageCursor: 'next' }));
+    const page = await listDocuments(env, { location: 'later', tag: undefined, pageCursor: null });
+
+    const [url, options] = globalThis.fetch.mock.calls[0];
+    expect(url).toBe('https://readwise.io/api/v3/list/?location=later');
+    expect(options.headers.Authorization).toBe('Token test-token');
+    expect(page).toEqual({ results: [{ id: 'a' }], nextPageCursor: 'next' });
+  });
+
+  it('retries 429s after Retry-After and then succeeds', async () => {
+    respondWith(
+      new Response('', { status: 429, headers: { 'Retry-After': '0' } }),
+      Response.json({ results: [] }),
+    );
+    await expect(listDocuments(env, {})).resolves.toEqual({ results: [], nextPageCursor: null });
+    expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('raises a rate-limit error when Retry-After is longer than we can wait', async () => {
+    respondWith(new Response('', { status: 429, headers: { 'Retry-After': '120' } }));
+    const error = await readwiseRequest(env, '/v3/list/').catch(e => e);
+    expect(error).toBeInstanceOf(ReadwiseRateLimitError);
+    expect(error.status).toBe(429);
+    expect(error.retryAfter).toBe(120);
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('gives up on persistent server errors with an upstream error', async () => {
+    respondWith(new Response('', { status: 503, headers: { 'Retry-After': '0' } }));
+    const error = await readwiseRequest(env, '/v3/list/').catch(e => e);
+    expect(error).toBeInstanceOf(ReadwiseUpstreamError);
+    expect(error.status).toBe(502);
+    expect(error.upstreamStatus).toBe(503);
+    expect(globalThis.fetch).toHaveBeenCalledTimes(READWISE_MAX_RETRIES + 1);
+  });
+
+  it('reports a body that is not JSON as an upstream error', async () => {
+    respondWith(new Response('<html>Maintenance</html>', { status: 200 }));
+    await expect(readwiseRequest(env, '/v3/list/')).rejects.toBeInstanceOf(ReadwiseUpstreamError);
+  });
+
+  it('maps auth and not-found responses without retrying', async () => {
+    respondWith(new Response('', { status: 401 }));
+    await expect(readwiseRequest(env, '/v3/list/')).rejects.toBeInstanceOf(ReadwiseAuthError);
+
+    respondWith(new Response('', { status: 404 }));
+    await expect(readwiseRequest(env, '/v3/update/x/', { method: 'PATCH', body: {} })).rejects.toBeInstanceOf(ReadwiseNotFoundError);
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+
+    await expect(readwiseRequest({}, '/v3/list/')).rejects.toBeInstanceOf(ReadwiseAuthError);
+  });
+
+  it('treats deleting a missing document as success', async () => {
+    respondWith(new Response('', { status: 404 }));
+    await expect(deleteDocument(env, 'gone')).resolves.toBe(true);
+  });
+
+  it('shares a per-minute budget across concurrent calls and queues past it', async () => {
+    vi.useFakeTimers({ now: new Date('2026-02-01T10:00:00Z') });
+    respondWith(Response.json({ results: [] }));
+
+    await Promise.all(Array.from({ length: READWISE_RATE_LIMITS.default }, () => listDocuments(env, {})));
+    const queued = listDocuments(env, {});
+    await vi.advanceTimersByTimeAsync(59 * 1000);
+    expect(globalThis.fetch).toHaveBeenCalledTimes(READWISE_RATE_LIMITS.default);
+
+    await vi.advanceTimersByTimeAsync(1000);
+    await expect(queued).resolves.toEqual({ results: [], nextPageCursor: null });
+    expect(globalThis.fetch).toHaveBeenCalledTimes(READWISE_RATE_LIMITS.default + 1);
+  });
+
+  it('gives document updates their own, larger budget', async () => {
+    vi.useFakeTimers({ now: new Date('2026-02-01T10:00:00Z') });
+    respondWith(Response.json({ results: [] }));
+
+    await Promise.all(Array.from({ length: READWISE_RATE_LIMITS.default }, () => listDocuments(env, {})));
+    await Promise.all(Array.from({ length: READWISE_RATE_LIMITS.update }, (_, i) => updateDocument(env, `doc-${i}`, { location: 'archive' })));
+    expect(globalThis.fetch).toHaveBeenCalledTimes(READWISE_RATE_LIMITS.default + READWISE_RATE_LIMITS.update);
+  });
+
+  it('keeps a separate budget per access token', async () => {
+    vi.useFakeTimers({ now: new Date('2026-02-01T10:00:00Z') });
+    respondWith(Response.json({ results: [] }));
+
+    await Promise.all(Array.from({ length: READWISE_RATE_LIMITS.default }, () => listDocuments(env, {})));
+    await expect(listDocuments({ READWISE_TOKEN: 'other-token' }, {})).resolves.toEqual({ results: [], nextPageCursor: null });
+  });
+});
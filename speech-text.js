@@ -0,0 +1,156 @@
+/**
+ * HTML-to-speech text normalizer
+ *
+ * Turns Readwise Reader HTML into clean, listenable paragraphs. Workers have no
+ * DOM, so this works on the markup directly: it drops non-content elements,
+ * replaces code, tables and images with something that reads well, then strips
+ * the remaining tags and tidies the text for TTS.
+ */
+
+// Elements whose content is never read aloud
+const DROPPED_ELEMENTS = ['script', 'style', 'noscript', 'iframe', 'nav', 'header', 'footer', 'form', 'button', 'svg', 'template', 'object', 'aside'];
+
+// Closing or opening these starts a new paragraph
+const BLOCK_ELEMENTS = ['p', 'div', 'section', 'article', 'main', 'li', 'ul', 'ol', 'dl', 'dt', 'dd', 'blockquote', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'figure', 'figcaption', 'hr', 'br'];
+
+const MAX_READ_TABLE_ROWS = 6;
+const MAX_READ_TABLE_COLUMNS = 4;
+
+const ABBREVIATIONS = [
+  [/\be\.g\.,?/gi, 'for example,'],
+  [/\bi\.e\.,?/gi, 'that is,'],
+  [/\betc\.(?=\s+[a-z])/g, 'et cetera'],
+  [/\betc\./gi, 'et cetera.'],
+  [/\bvs\.?(?=\s)/gi, 'versus'],
+  [/\bapprox\./gi, 'approximately'],
+  [/\bDr\.(?=\s+[A-Z])/g, 'Doctor'],
+  [/\bProf\.(?=\s+[A-Z])/g, 'Professor'],
+  [/\bSt\.(?=\s+[A-Z])/g, 'Saint'],
+  [/\bMr\.(?=\s)/g, 'Mister'],
+  [/\bMrs\.(?=\s)/g, 'Missus'],
+  [/\bMs\.(?=\s)/g, 'Miz'],
+  [/\bU\.S\.(?=\s|$)/g, 'US'],
+  [/\bU\.K\.(?=\s|$)/g, 'UK'],
+  [/\s&\s/g, ' and '],
+];
+
+// Whole paragraphs that are page furniture rather than article text
+const JUNK_PARAGRAPH = /^(advertisement|sponsored( content)?|share( this( article| story)?)?|subscribe( now)?|sign up for .*newsletter.*|read more|related( articles)?|continue reading|click here.*|image:?)$/i;
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  mdash: '—', ndash: '–', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  copy: '©', reg: '®', trade: '™', deg: '°', times: '×', middot: '·', bull: '•',
+};
+
+/**
+ * Converts Reader HTML (or plain text) into speech-ready paragraphs.
+ * @param {string} html
+ * @returns {string[]}
+ */
+export function htmlToSpeechParagraphs(html) {
+  if (!html) return [];
+
+  let text = String(html);
+  const isHtml = /<[a-z][\s\S]*>/i.test(text);
+
+  if (isHtml) {
+    text = text.replace(/<!--[\s\S]*?-->/g, '');
+    for (const tag of DROPPED_ELEMENTS) {
+      text = text.replace(new RegExp(`<${tag}\\b[\\s\\S]*?</${tag}>`, 'gi'), ' ');
+      text = text.replace(new RegExp(`<${tag}\\b[^>]*/?>`, 'gi'), ' ');
+    }
+
+    text = removeFootnotes(text);
+    text = text.replace(/<pre\b[\s\S]*?<\/pre>/gi, '\n\nCode example omitted.\n\n');
+    text = text.replace(/<table\b[\s\S]*?<\/table>/gi, table => `\n\n${describeTable(table)}\n\n`);
+    text = text.replace(/<figcaption\b[^>]*>([\s\S]*?)<\/figcaption>/gi, (_, caption) => {
+      const captionText = stripTags(caption).trim();
+      return captionText ? `\n\nImage: ${captionText}\n\n` : '';
+    });
+    text = text.replace(/<img\b[^>]*>/gi, ''); // Images, including 1x1 tracking pixels
+    text = text.replace(/<a\b[^>]*>([\s\S]*?)<\/a>/gi, (_, label) => label);
+    text = text.replace(/<\/?(h[1-6])\b[^>]*>/gi, (tag) => (tag.startsWith('</') ? '.\n\n' : '\n\n'));
+
+    const blockPattern = new RegExp(`</?(?:${BLOCK_ELEMENTS.join('|')})\\b[^>]*>`, 'gi');
+    text = text.replace(blockPattern, '\n\n');
+    text = stripTags(text);
+  }
+
+  text = decodeEntities(text);
+
+  return text
+    .split(/\n\s*\n/)
+    .map(normalizeSpeechText)
+    .filter(paragraph => paragraph.length > 1 && !JUNK_PARAGRAPH.test(paragraph.replace(/[.!:]+$/, '')));
+}
+
+/**
+ * Converts Reader HTML (or plain text) into one block of speech text.
+ * @param {string} html
+ * @returns {string}
+ */
+export function htmlToSpeechText(html) {
+  return htmlToSpeechParagraphs(html).join('\n\n');
+}
+
+/**
+ * Tidies one paragraph of plain text for TTS.
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeSpeechText(text) {
+  let result = text.replace(/\s+/g, ' ').trim();
+
+  // Footnote markers left in the text: "claim.[3]" / "claim [12]"
+  result = result.replace(/\s?\[\d{1,3}\]/g, '');
+
+  // URLs read as "link to example.com" rather than letter by letter
+  result = result.replace(/\bhttps?:\/\/[^\s<>"')]+/gi, (match) => {
+    const [, url, trailing] = match.match(/^(.*?)([.,;:!?]*)$/);
+    try {
+      return `link to ${new URL(url).hostname.replace(/^www\./, '')}${trailing}`;
+    } catch {
+      return `link${trailing}`;
+    }
+  });
+
+  for (const [pattern, replacement] of ABBREVIATIONS) {
+    result = result.replace(pattern, replacement);
+  }
+
+  // Headings already ending in punctuation get a doubled period from the heading break
+  return result.replace(/\s+\.(?=\s|$)/g, '.').replace(/([.!?…:;])\.(?=\s|$)/g, '$1').replace(/^\.\s*/, '').trim();
+}
+
+function removeFootnotes(html) {
+  return html
+    .replace(/<(section|div|ol)\b[^>]*class="[^"]*footnotes?[^"]*"[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<sup\b[^>]*>\s*(?:<a\b[^>]*>)?\s*\[?\d{1,3}\]?\s*(?:<\/a>)?\s*<\/sup>/gi, '')
+    .replace(/<a\b[^>]*href="#(?:fn|footnote)[^"]*"[^>]*>[\s\S]*?<\/a>/gi, '');
+}
+
+// Small tables are read row by row; large ones are summarized as omitted.
+function describeTable(table) {
+  const rows = [...table.matchAll(/<tr\b[^>]*>([\s\S]*?)<\/tr>/gi)]
+    .map(([, row]) => [...row.matchAll(/<t[hd]\b[^>]*>([\s\S]*?)<\/t[hd]>/gi)].map(([, cell]) => stripTags(cell).replace(/\s+/g, ' ').trim()))
+    .filter(cells => cells.some(Boolean));
+
+  if (rows.length === 0) return '';
+  const columns = Math.max(...rows.map(cells => cells.length));
+  if (rows.length > MAX_READ_TABLE_ROWS || columns > MAX_READ_TABLE_COLUMNS) {
+    return `A table with ${rows.length} rows is omitted.`;
+  }
+  return rows.map(cells => cells.filter(Boolean).join(', ') + '.').join('\n');
+}
+
+function stripTags(html) {
+  return html.replace(/<[^>]*>/g, ' ');
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&([a-z]+);/gi, (entity, name) => NAMED_ENTITIES[name.toLowerCase()] ?? entity);
+}
@@ -0,0 +1,97 @@
+/**
+ * Tests for the HTML-to-speech text normalizer
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { htmlToSpeechParagraphs, htmlToSpeechText, normalizeSpeechText } from './speech-text.js';
+import { newsArticleHtml, techPostHtml, newsletterHtml } from './mocks/article-html.js';
+
+describe('htmlToSpeechParagraphs', () => {
+  describe('news article fixture', () => {
+    const paragraphs = htmlToSpeechParagraphs(newsArticleHtml);
+    const text = paragraphs.join('\n');
+
+    it('keeps the article text as paragraphs', () => {
+      expect(paragraphs).toContain('What changed?');
+      expect(paragraphs.some(p => p.startsWith('A year ago, the administration'))).toBe(true);
+    });
+
+    it('reads image captions and drops the images', () => {
+      expect(paragraphs[0]).toBe('Image: Voters at a rally in Pennsylvania, January 2026.');
+      expect(text).not.toContain('wp-content');
+    });
+
+    it('removes footnote markers and the footnotes section', () => {
+      expect(text).toContain('American government. Now the bills');
+      expect(text).not.toContain('campaign memo');
+      expect(text).not.toContain('↩');
+    });
+
+    it('reads links as their label and bare URLs as their host', () => {
+      expect(text).toContain('According to a Pew survey, approval');
+      expect(text).toContain('Read the full data at link to example.org.');
+      expect(text).not.toMatch(/https?:/);
+    });
+
+    it('decodes entities and expands abbreviations', () => {
+      expect(text).toContain('clean break with the past — a “Year Zero”');
+      expect(text).toContain('Doctor Ellen Park');
+      expect(text).toContain('that is, well before');
+      expect(text).toContain('prices, rents, et cetera more than rhetoric');
+    });
+
+    it('drops ad markers and the byline header', () => {
+      expect(paragraphs).not.toContain('Advertisement');
+      expect(text).not.toContain('By Matt Bai');
+    });
+  });
+
+  describe('technical post fixture', () => {
+    const paragraphs = htmlToSpeechParagraphs(techPostHtml);
+
+    it('replaces code blocks but keeps inline code', () => {
+      expect(paragraphs).toContain('Code example omitted.');
+      expect(paragraphs.join('\n')).not.toContain('waitUntil');
+      expect(paragraphs).toContain('Inline KV.get calls stay as they are and nothing else changed.');
+    });
+
+    it('reads small tables row by row and omits large ones', () => {
+      expect(paragraphs).toContain('Metric, Before, After. p50, 9.8s, 180ms. p99, 30s, 420ms.');
+      expect(paragraphs).toContain('A table with 7 rows is omitted.');
+    });
+
+    it('ends headings with a pause', () => {
+      expect(paragraphs[0]).toBe('Why our Worker timed out.');
+    });
+  });
+
+  describe('newsletter fixture', () => {
+    it('strips tracking pixels, scripts, share buttons and footer junk', () => {
+      expect(htmlToSpeechParagraphs(newsletterHtml)).toEqual([
+        'Good morning! Here’s what you need to know today.',
+        'Markets rallied on Tuesday after inflation came in below expectations versus forecasts.',
+      ]);
+    });
+  });
+
+  it('splits plain text on blank lines', () => {
+    expect(htmlToSpeechParagraphs('First paragraph.\n\nSecond paragraph.')).toEqual(['First paragraph.', 'Second paragraph.']);
+  });
+
+  it('returns nothing for empty content', () => {
+    expect(htmlToSpeechParagraphs(null)).toEqual([]);
+    expect(htmlToSpeechText('')).toBe('');
+  });
+});
+
+describe('normalizeSpeechText', () => {
+  it('collapses whitespace and strips bracketed footnote markers', () => {
+    expect(normalizeSpeechText('  A claim.[3]   Another  claim [12]  ')).toBe('A claim. Another claim');
+  });
+
+  it('keeps sentence punctuation after URLs', () => {
+    expect(normalizeSpeechText('See https://www.example.com/a/b. Then more.')).toBe('See link to example.com. Then more.');
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Usage metering and monthly budgets
+ *
+ * Every summarizer call and every synthesized (uncached) TTS segment is recorded in
+ * KV: one `usage-log:{timestamp}:{id}` record per call, with its model, tokens or
+ * characters and estimated cost, plus running totals per UTC day
+ * (`usage:day:YYYY-MM-DD`) and month (`usage:month:YYYY-MM`). In multi-user mode
+ * env.KV is the user's namespace, so usage and budgets are per user.
+ *
+ * Budgets come from the MONTHLY_SUMMARY_BUDGET_USD and MONTHLY_TTS_BUDGET_USD vars.
+ * Once the month's estimated spend reaches one, summaries are served from cache only
+ * and TTS falls back to browser speech until the next month.
+ *
+ * KV has no atomic increments, so calls landing at the same moment can drop a count.
+ * The totals are estimates, like the prices behind them.
+ */
+
+import { USAGE_PRICES, USAGE_LOG_TTL, USAGE_DAY_TTL, USAGE_MONTH_TTL } from './config.js';
+
+export const USAGE_KINDS = ['summaries', 'tts'];
+const BUDGET_VARS = { summaries: 'MONTHLY_SUMMARY_BUDGET_USD', tts: 'MONTHLY_TTS_BUDGET_USD' };
+
+export class BudgetExceededError extends Error {
+  constructor(kind) {
+    super(`Monthly ${kind} budget reached (${BUDGET_VARS[kind]})`);
+    this.name = 'BudgetExceededError';
+    this.kind = kind;
+  }
+}
+
+export function estimateCost(model, { input_tokens = 0, output_tokens = 0, characters = 0 }) {
+  const price = USAGE_PRICES[model];
+  if (!price) return 0;
+  return ((price.input_tokens || 0) * input_tokens
+    + (price.output_tokens || 0) * output_tokens
+    + (price.characters || 0) * characters) / 1e6;
+}
+
+// ============ RECORDING ============
+
+/**
+ * Records one summarizer call or TTS synthesis. Failures are logged, never thrown,
+ * so metering can't break the call it measures.
+ * @param {{ kind: 'summaries'|'tts', model: string, input_tokens?: number, output_tokens?: number, characters?: number }} call
+ */
+export async function recordUsage(env, { kind, model, input_tokens = 0, output_tokens = 0, characters = 0 }) {
+  try {
+    const now = new Date();
+    const counts = { input_tokens, output_tokens, characters };
+    const record = { kind, model, ...counts, cost_usd: estimateCost(model, counts), at: now.toISOString() };
+
+    const id = crypto.randomUUID().slice(0, 8);
+    await env.KV.put(`usage-log:${record.at}:${id}`, JSON.stringify(record), { expirationTtl: USAGE_LOG_TTL });
+    await addToTotals(env, `usage:day:${dayKey(now)}`, record, USAGE_DAY_TTL);
+    await addToTotals(env, `usage:month:${monthKey(now)}`, record, USAGE_MONTH_TTL);
+  } catch (error) {
+    console.error('Failed to record usage:', error);
+  }
+}
+
+async function addToTotals(env, key, record, expirationTtl) {
+  const totals = await readTotals(env, key);
+  totals.models[record.model] ??= emptyCounts();
+  for (const counts of [totals[record.kind], totals.models[record.model]]) {
+    counts.calls++;
+    counts.input_tokens += record.input_tokens;
+    counts.output_tokens += record.output_tokens;
+    counts.characters += record.characters;
+    counts.cost_usd += record.cost_usd;
+  }
+  totals.cost_usd += record.cost_usd;
+  await env.KV.put(key, JSON.stringify(totals), { expirationTtl });
+}
+
+async function readTotals(env, key) {
+  const raw = await env.KV.get(key);
+  return raw ? JSON.parse(raw) : { summaries: emptyCounts(), tts: emptyCounts(), models: {}, cost_usd: 0 };
+}
+
+function emptyCounts() {
+  return { calls: 0, input_tokens: 0, output_tokens: 0, characters: 0, cost_usd: 0 };
+}
+
+// ============ REPORTING ============
+
+/**
+ * Daily totals for the last `days` days and monthly totals for the last `months`
+ * months (newest first), the latest `calls` per-call records from those days, and
+ * the current month's budget status.
+ */
+export async function getUsageReport(env, { days = 30, months = 3, calls = 50 } = {}) {
+  const now = new Date();
+
+  const daily = [];
+  for (let i = 0; i < days; i++) {
+    const date = dayKey(new Date(now.getTime() - i * 24 * 60 * 60 * 1000));
+    daily.push({ date, ...roundTotals(await readTotals(env, `usage:day:${date}`)) });
+  }
+
+  const monthly = [];
+  for (let i = 0; i < months; i++) {
+    const month = monthKey(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - i, 1)));
+    monthly.push({ month, ...roundTotals(await readTotals(env, `usage:month:${month}`)) });
+  }
+
+  return {
+    today: daily[0],
+    month: monthly[0],
+    days: daily,
+    months: monthly,
+    calls: await recentCalls(env, daily.map(d => d.date), calls),
+    budgets: budgetStatus(env, monthly[0]),
+  };
+}
+
+// Per-call records, newest first, walking back one day at a time until `limit` are found
+async function recentCalls(env, dates, limit) {
+  const calls = [];
+  for (const date of dates) {
+    if (calls.length >= limit) break;
+    const names = await listKeys(env, `usage-log:${date}`);
+    for (const name of names.reverse().slice(0, limit - calls.length)) {
+      const raw = await env.KV.get(name);
+      if (raw) calls.push(JSON.parse(raw));
+    }
+  }
+  return calls.map(call => ({ ...call, cost_usd: roundUsd(call.cost_usd) }));
+}
+
+async function listKeys(env, prefix) {
+  const names = [];
+  let cursor;
+  do {
+    const page = await env.KV.list({ prefix, cursor });
+    names.push(...page.keys.map(key => key.name));
+    cursor = page.list_complete === false ? page.cursor : null;
+  } while (cursor);
+  return names.sort();
+}
+
+function roundTotals(totals) {
+  const round = counts => ({ ...counts, cost_usd: roundUsd(counts.cost_usd) });
+  return {
+    summaries: round(totals.summaries),
+    tts: round(totals.tts),
+    models: Object.fromEntries(Object.entries(totals.models).map(([model, counts]) => [model, round(counts)])),
+    cost_usd: roundUsd(totals.cost_usd),
+  };
+}
+
+function roundUsd(amount) {
+  return Math.round(amount * 1e6) / 1e6;
+}
+
+// ============ BUDGETS ============
+
+function budgetStatus(env, monthTotals) {
+  return Object.fromEntries(USAGE_KINDS.map(kind => {
+    const limit = budgetLimit(env, kind);
+    const spent = monthTotals[kind].cost_usd;
+    return [kind, { limit_usd: limit, spent_usd: roundUsd(spent), exceeded: limit !== null && spent >= limit }];
+  }));
+}
+
+// True once this month's estimated spend for `kind` has reached its budget
+export async function isOverBudget(env, kind) {
+  const limit = budgetLimit(env, kind);
+  if (limit === null) return false;
+  const totals = await readTotals(env, `usage:month:${monthKey(new Date())}`);
+  return totals[kind].cost_usd >= limit;
+}
+
+// Unset or non-numeric budgets mean no limit
+function budgetLimit(env, kind) {
+  const value = env[BUDGET_VARS[kind]];
+  if (value === undefined || value === null || value === '') return null;
+  const limit = Number(value);
+  return Number.isFinite(limit) ? limit : null;
+}
+
+function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function monthKey(date) {
+  return date.toISOString().slice(0, 7);
+}
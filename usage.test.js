@@ -0,0 +1,93 @@
+/**
+ * Tests for usage metering and budgets
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { estimateCost, recordUsage, getUsageReport, isOverBudget } from './usage.js';
+import { USAGE_LOG_TTL } from './config.js';
+
+function createMockKV(store = {}) {
+  return {
+    get: vi.fn(async key => store[key] ?? null),
+    put: vi.fn(async (key, value) => { store[key] = value; }),
+    list: vi.fn(async ({ prefix }) => ({ keys: Object.keys(store).filter(k => k.startsWith(prefix)).map(name => ({ name })) })),
+    _store: store,
+  };
+}
+
+describe('usage', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('estimates cost from per-million prices and treats unknown models as free', () => {
+    expect(estimateCost('claude-3-haiku-20240307', { input_tokens: 1e6, output_tokens: 2e6 })).toBeCloseTo(2.75);
+    expect(estimateCost('gpt-4o-mini-tts', { characters: 100000 })).toBeCloseTo(1.5);
+    expect(estimateCost('llama3.1:8b', { input_tokens: 5000 })).toBe(0);
+  });
+
+  it('keeps a per-call log and daily and monthly totals by model', async () => {
+    vi.useFakeTimers({ now: new Date('2026-10-19T08:30:00Z') });
+    const env = { KV: createMockKV() };
+    await recordUsage(env, { kind: 'summaries', model: 'claude-3-haiku-20240307', input_tokens: 1200, output_tokens: 180 });
+    await recordUsage(env, { kind: 'summaries', model: 'claude-3-haiku-20240307', input_tokens: 800, output_tokens: 120 });
+    await recordUsage(env, { kind: 'tts', model: 'gpt-4o-mini-tts', characters: 900 });
+
+    const logs = Object.keys(env.KV._store).filter(key => key.startsWith('usage-log:2026-10-19T08:30:00.000Z:'));
+    expect(logs).toHaveLength(3);
+    expect(JSON.parse(env.KV._store[logs[0]])).toMatchObject({ kind: 'summaries', model: 'claude-3-haiku-20240307', input_tokens: 1200, at: '2026-10-19T08:30:00.000Z' });
+    expect(env.KV.put).toHaveBeenCalledWith(logs[0], expect.any(String), { expirationTtl: USAGE_LOG_TTL });
+
+    const day = JSON.parse(env.KV._store['usage:day:2026-10-19']);
+    expect(day.summaries).toMatchObject({ calls: 2, input_tokens: 2000, output_tokens: 300 });
+    expect(day.tts).toMatchObject({ calls: 1, characters: 900 });
+    expect(day.models['gpt-4o-mini-tts'].cost_usd).toBeCloseTo(0.0135);
+    expect(JSON.parse(env.KV._store['usage:month:2026-10']).cost_usd).toBeCloseTo(day.cost_usd);
+  });
+
+  it('reports days and months newest first with budget status', async () => {
+    vi.useFakeTimers({ now: new Date('2026-10-01T12:00:00Z') });
+    const env = { KV: createMockKV(), MONTHLY_TTS_BUDGET_USD: '0.01' };
+    await recordUsage(env, { kind: 'tts', model: 'gpt-4o-mini-tts', characters: 1000 });
+
+    const report = await getUsageReport(env, { days: 2, months: 2 });
+    expect(report.days.map(d => d.date)).toEqual(['2026-10-01', '2026-09-30']);
+    expect(report.months.map(m => m.month)).toEqual(['2026-10', '2026-09']);
+    expect(report.today.tts.characters).toBe(1000);
+    expect(report.months[1].cost_usd).toBe(0);
+    expect(report.calls).toEqual([
+      { kind: 'tts', model: 'gpt-4o-mini-tts', input_tokens: 0, output_tokens: 0, characters: 1000, cost_usd: 0.015, at: '2026-10-01T12:00:00.000Z' },
+    ]);
+    expect(report.budgets).toEqual({
+      summaries: { limit_usd: null, spent_usd: 0, exceeded: false },
+      tts: { limit_usd: 0.01, spent_usd: 0.015, exceeded: true },
+    });
+  });
+
+  it('lists the latest calls newest first across days', async () => {
+    vi.useFakeTimers();
+    const env = { KV: createMockKV() };
+    for (const at of ['2026-10-18T09:00:00Z', '2026-10-19T07:00:00Z', '2026-10-19T08:00:00Z']) {
+      vi.setSystemTime(new Date(at));
+      await recordUsage(env, { kind: 'tts', model: 'gpt-4o-mini-tts', characters: 100 });
+    }
+
+    const at = async options => (await getUsageReport(env, options)).calls.map(call => call.at);
+    expect(await at({ days: 2, calls: 2 })).toEqual(['2026-10-19T08:00:00.000Z', '2026-10-19T07:00:00.000Z']);
+    expect(await at({ days: 2, calls: 5 })).toEqual(['2026-10-19T08:00:00.000Z', '2026-10-19T07:00:00.000Z', '2026-10-18T09:00:00.000Z']);
+    expect(await at({ days: 1, calls: 5 })).toHaveLength(2);
+  });
+
+  it('only enforces budgets that are set, and resets them each month', async () => {
+    vi.useFakeTimers({ now: new Date('2026-10-31T23:00:00Z') });
+    const env = { KV: createMockKV(), MONTHLY_SUMMARY_BUDGET_USD: '0.001' };
+    await recordUsage(env, { kind: 'summaries', model: 'claude-3-5-sonnet-20241022', input_tokens: 1000, output_tokens: 0 });
+
+    expect(await isOverBudget(env, 'summaries')).toBe(true);
+    expect(await isOverBudget(env, 'tts')).toBe(false);
+    vi.setSystemTime(new Date('2026-11-01T00:30:00Z'));
+    expect(await isOverBudget(env, 'summaries')).toBe(false);
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * Accounts and sessions
+ *
+ * Multi-user mode is on when the TOKEN_ENCRYPTION_KEY secret is set. Each account
+ * keeps its own Readwise token, encrypted with AES-GCM under that key, and a PBKDF2
+ * password hash. A request resolves its user from the `session` cookie or an
+ * `Authorization: Bearer` session token and then runs against a per-user env: its
+ * READWISE_TOKEN is the user's, and its KV prefixes every key with `u:{userId}:`.
+ * The rest of the Worker keeps using `env.KV` and `env.READWISE_TOKEN` unchanged.
+ *
+ * Global keys: `account:{username}` and `session:{sha256 of token}`. The cron finds
+ * accounts by listing `account:` keys rather than keeping an index, which concurrent
+ * sign-ups could overwrite.
+ *
+ * KV has no transactions: two sign-ups for the same username at the same moment can
+ * both pass the "taken" check, and the later write wins. Sessions record the account
+ * ID, so the other person's session stops resolving instead of reaching the new account.
+ */
+
+import { SESSION_TTL, PASSWORD_MIN_LENGTH, PASSWORD_HASH_ITERATIONS, USERNAME_PATTERN } from './config.js';
+import { ReadwiseAuthError, verifyToken } from './readwise-client.js';
+
+export const SESSION_COOKIE = 'session';
+
+// ============ ERRORS ============
+
+export class AccountError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AccountError';
+    this.status = status;
+  }
+}
+
+export function isMultiUser(env) {
+  return Boolean(env.TOKEN_ENCRYPTION_KEY);
+}
+
+// ============ ACCOUNTS ============
+
+/**
+ * Creates an account after checking the Readwise token with Readwise.
+ * @returns {Promise<{ id: string, username: string }>}
+ */
+export async function registerUser(env, { username, password, readwiseToken }) {
+  username = normalizeUsername(username);
+  if (!USERNAME_PATTERN.test(username)) {
+    throw new AccountError('Username must be 3-32 letters, digits, dots, dashes or underscores');
+  }
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    throw new AccountError(`Password must be at least ${PASSWORD_MIN_LENGTH} characters`);
+  }
+  if (typeof readwiseToken !== 'string' || !readwiseToken.trim()) {
+    throw new AccountError('A Readwise access token is required');
+  }
+  if (await env.KV.get(`account:${username}`)) {
+    throw new AccountError('That username is taken', 409);
+  }
+
+  await checkReadwiseToken(readwiseToken.trim());
+
+  const account = {
+    id: crypto.randomUUID(),
+    username,
+    password: await hashPassword(password),
+    readwise_token: await encryptSecret(env, readwiseToken.trim()),
+    created_at: new Date().toISOString(),
+  };
+  await env.KV.put(`account:${username}`, JSON.stringify(account));
+  return { id: account.id, username };
+}
+
+/**
+ * Checks a username and password.
+ * @returns {Promise<{ id: string, username: string }>}
+ */
+export async function authenticateUser(env, { username, password }) {
+  const account = await getAccount(env, normalizeUsername(username));
+  // Hash even for unknown users so response times don't reveal which usernames exist
+  const valid = await verifyPassword(String(password ?? ''), account?.password ?? DUMMY_PASSWORD);
+  if (!account || !valid) throw new AccountError('Wrong username or password', 401);
+  return { id: account.id, username: account.username };
+}
+
+export async function updateReadwiseToken(env, user, readwiseToken) {
+  if (typeof readwiseToken !== 'string' || !readwiseToken.trim()) {
+    throw new AccountError('A Readwise access token is required');
+  }
+  await checkReadwiseToken(readwiseToken.trim());
+
+  const account = await getAccount(env, user.username);
+  account.readwise_token = await encryptSecret(env, readwiseToken.trim());
+  await env.KV.put(`account:${user.username}`, JSON.stringify(account));
+}
+
+// Every account's env, for the cron. Accounts whose token can't be decrypted
+// (e.g. after TOKEN_ENCRYPTION_KEY was rotated) are skipped.
+export async function allUserEnvs(env) {
+  const envs = [];
+  for (const username of await listUsernames(env)) {
+    const account = await getAccount(env, username);
+    if (!account) continue;
+    try {
+      envs.push(await userEnv(env, account));
+    } catch (error) {
+      console.error(`Skipping ${username}: could not decrypt Readwise token`, error);
+    }
+  }
+  return envs;
+}
+
+async function listUsernames(env) {
+  const usernames = [];
+  let cursor;
+  do {
+    const page = await env.KV.list({ prefix: 'account:', cursor });
+    usernames.push(...page.keys.map(key => key.name.slice('account:'.length)));
+    cursor = page.list_complete === false ? page.cursor : null;
+  } while (cursor);
+  return usernames;
+}
+
+async function getAccount(env, username) {
+  const raw = await env.KV.get(`account:${username}`);
+  return raw ? JSON.parse(raw) : null;
+}
+
+async function checkReadwiseToken(token) {
+  try {
+    await verifyToken(token);
+  } catch (error) {
+    if (error instanceof ReadwiseAuthError) throw new AccountError('Readwise rejected that access token');
+    throw error;
+  }
+}
+
+function normalizeUsername(username) {
+  return String(username ?? '').trim().toLowerCase();
+}
+
+// ============ SESSIONS ============
+
+/**
+ * Starts a session and returns its token. Only a hash of the token is stored.
+ */
+export async function createSession(env, user) {
+  const token = base64url(crypto.getRandomValues(new Uint8Array(32)));
+  await env.KV.put(`session:${await sha256Hex(token)}`, JSON.stringify({
+    user_id: user.id,
+    username: user.username,
+    created_at: new Date().toISOString(),
+  }), { expirationTtl: SESSION_TTL });
+  return token;
+}
+
+export async function deleteSession(env, token) {
+  if (token) await env.KV.delete(`session:${await sha256Hex(token)}`);
+}
+
+// The session token from the `session` cookie or an `Authorization: Bearer` header
+export function sessionTokenFrom(request) {
+  const auth = request.headers.get('Authorization') || '';
+  if (auth.startsWith('Bearer ')) return auth.slice(7).trim();
+
+  const cookies = request.headers.get('Cookie') || '';
+  const match = cookies.match(new RegExp(`(?:^|;\\s*)${SESSION_COOKIE}=([^;]+)`));
+  return match ? match[1] : null;
+}
+
+export function sessionCookie(token, maxAge = SESSION_TTL) {
+  return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=${maxAge}`;
+}
+
+/**
+ * Resolves the signed-in user's env, or null when the request has no valid session.
+ * @returns {Promise<object|null>} env with the user's READWISE_TOKEN, namespaced KV and USER
+ */
+export async function resolveUserEnv(request, env) {
+  const token = sessionTokenFrom(request);
+  if (!token) return null;
+
+  const raw = await env.KV.get(`session:${await sha256Hex(token)}`);
+  if (!raw) return null;
+  const session = JSON.parse(raw);
+  const account = await getAccount(env, session.username);
+  // A username re-registered since sign-in belongs to someone else now
+  return account && account.id === session.user_id ? userEnv(env, account) : null;
+}
+
+async function userEnv(env, account) {
+  return {
+    ...env,
+    READWISE_TOKEN: await decryptSecret(env, account.readwise_token),
+    KV: namespacedKV(env.KV, `u:${account.id}:`),
+    USER: { id: account.id, username: account.username },
+  };
+}
+
+// ============ NAMESPACED KV ============
+
+/**
+ * Wraps a KV binding so every key is stored under `prefix`. `list` results have the
+ * prefix stripped again, so callers see the same key names as with a plain binding.
+ */
+export function namespacedKV(kv, prefix) {
+  return {
+    get: (key, options) => kv.get(prefix + key, options),
+    put: (key, value, options) => kv.put(prefix + key, value, options),
+    delete: key => kv.delete(prefix + key),
+    async list(options = {}) {
+      const result = await kv.list({ ...options, prefix: prefix + (options.prefix || '') });
+      return { ...result, keys: result.keys.map(key => ({ ...key, name: key.name.slice(prefix.length) })) };
+    },
+  };
+}
+
+// ============ CRYPTO ============
+
+const DUMMY_PASSWORD = { salt: 'AAAAAAAAAAAAAAAAAAAAAA==', hash: '', iterations: PASSWORD_HASH_ITERATIONS };
+
+async function hashPassword(password, salt = crypto.getRandomValues(new Uint8Array(16)), iterations = PASSWORD_HASH_ITERATIONS) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+  return { salt: toBase64(salt), hash: toBase64(new Uint8Array(bits)), iterations };
+}
+
+async function verifyPassword(password, stored) {
+  const { hash } = await hashPassword(password, fromBase64(stored.salt), stored.iterations);
+  return timingSafeEqual(hash, stored.hash);
+}
+
+// AES-GCM key derived from the TOKEN_ENCRYPTION_KEY secret (any long random string)
+async function encryptionKey(env) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(env.TOKEN_ENCRYPTION_KEY));
+  return crypto.subtle.importKey('raw', digest, 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+async function encryptSecret(env, plaintext) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await encryptionKey(env), new TextEncoder().encode(plaintext));
+  return { iv: toBase64(iv), ciphertext: toBase64(new Uint8Array(ciphertext)) };
+}
+
+async function decryptSecret(env, { iv, ciphertext }) {
+  const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, await encryptionKey(env), fromBase64(ciphertext));
+  return new TextDecoder().decode(plaintext);
+}
+
+export async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+export function base64url(bytes) {
+  return toBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
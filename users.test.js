@@ -0,0 +1,145 @@
+/**
+ * Tests for accounts, sessions and per-user KV
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  AccountError,
+  registerUser,
+  authenticateUser,
+  createSession,
+  resolveUserEnv,
+  allUserEnvs,
+  namespacedKV,
+  sessionTokenFrom,
+} from './users.js';
+import { resetReadwiseBudget } from './readwise-client.js';
+
+function createMockKV(store = {}) {
+  return {
+    get: vi.fn(async key => store[key] ?? null),
+    put: vi.fn(async (key, value) => { store[key] = value; }),
+    delete: vi.fn(async key => { delete store[key]; }),
+    list: vi.fn(async ({ prefix }) => ({ keys: Object.keys(store).filter(k => k.startsWith(prefix)).map(name => ({ name })) })),
+    _store: store,
+  };
+}
+
+const createEnv = () => ({ TOKEN_ENCRYPTION_KEY: 'test-encryption-key', KV: createMockKV() });
+const alice = { username: 'Alice', password: 'correct horse', readwiseToken: 'alice-readwise-token' };
+
+describe('users', () => {
+  let originalFetch;
+
+  beforeEach(() => {
+    originalFetch = globalThis.fetch;
+    resetReadwiseBudget();
+    // Readwise's token check: every token but "invalid-token" is accepted
+    globalThis.fetch = vi.fn(async (url, options) => new Response(null, {
+      status: options.headers.Authorization === 'Token invalid-token' ? 401 : 204,
+    }));
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  it('stores the Readwise token encrypted and the password hashed', async () => {
+    const env = createEnv();
+    const user = await registerUser(env, alice);
+
+    expect(user.username).toBe('alice');
+    const raw = env.KV._store['account:alice'];
+    expect(raw).not.toContain('alice-readwise-token');
+    expect(raw).not.toContain('correct horse');
+  });
+
+  it('rejects taken usernames, short passwords and tokens Readwise refuses', async () => {
+    const env = createEnv();
+    await registerUser(env, alice);
+
+    await expect(registerUser(env, alice)).rejects.toMatchObject({ status: 409 });
+    await expect(registerUser(env, { ...alice, username: 'bob', password: 'short' })).rejects.toBeInstanceOf(AccountError);
+    await expect(registerUser(env, { ...alice, username: 'bob', readwiseToken: 'invalid-token' }))
+      .rejects.toThrow('Readwise rejected that access token');
+  });
+
+  it('checks passwords', async () => {
+    const env = createEnv();
+    await registerUser(env, alice);
+
+    await expect(authenticateUser(env, { username: 'alice', password: 'correct horse' })).resolves.toMatchObject({ username: 'alice' });
+    await expect(authenticateUser(env, { username: 'alice', password: 'wrong' })).rejects.toMatchObject({ status: 401 });
+    await expect(authenticateUser(env, { username: 'nobody', password: 'correct horse' })).rejects.toMatchObject({ status: 401 });
+  });
+
+  it('resolves a session to an env with the user\'s token and namespaced KV', async () => {
+    const env = createEnv();
+    const user = await registerUser(env, alice);
+    const token = await createSession(env, user);
+
+    const request = new Request('https://example.com/api/feed', { headers: { Cookie: `theme=light; session=${token}` } });
+    const userEnv = await resolveUserEnv(request, env);
+    expect(userEnv.READWISE_TOKEN).toBe('alice-readwise-token');
+    expect(userEnv.USER.username).toBe('alice');
+
+    await userEnv.KV.put('heard:doc-1', '1');
+    expect(env.KV._store[`u:${user.id}:heard:doc-1`]).toBe('1');
+    // Only the hash of the session token is stored
+    expect(Object.keys(env.KV._store).some(key => key.includes(token))).toBe(false);
+  });
+
+  it('does not resolve a session once its username belongs to another account', async () => {
+    const env = createEnv();
+    const token = await createSession(env, await registerUser(env, alice));
+
+    // A racing sign-up for the same name overwrote the account
+    delete env.KV._store['account:alice'];
+    await registerUser(env, { ...alice, readwiseToken: 'mallory-readwise-token' });
+
+    const request = new Request('https://example.com/api/feed', { headers: { Authorization: `Bearer ${token}` } });
+    expect(await resolveUserEnv(request, env)).toBeNull();
+  });
+
+  it('returns null for unknown sessions', async () => {
+    const request = new Request('https://example.com/api/feed', { headers: { Authorization: 'Bearer not-a-session' } });
+    expect(await resolveUserEnv(request, createEnv())).toBeNull();
+    expect(sessionTokenFrom(request)).toBe('not-a-session');
+  });
+
+  it('lists every account for the cron, even after concurrent sign-ups', async () => {
+    const env = createEnv();
+    await Promise.all([
+      registerUser(env, alice),
+      registerUser(env, { ...alice, username: 'bob', readwiseToken: 'bob-readwise-token' }),
+    ]);
+
+    const envs = await allUserEnvs(env);
+    expect(envs.map(e => e.READWISE_TOKEN).sort()).toEqual(['alice-readwise-token', 'bob-readwise-token']);
+  });
+
+  it('follows KV list pages', async () => {
+    const env = createEnv();
+    await registerUser(env, alice);
+    await registerUser(env, { ...alice, username: 'bob', readwiseToken: 'bob-readwise-token' });
+    env.KV.list
+      .mockResolvedValueOnce({ keys: [{ name: 'account:alice' }], list_complete: false, cursor: 'next' })
+      .mockResolvedValueOnce({ keys: [{ name: 'account:bob' }], list_complete: true });
+
+    expect((await allUserEnvs(env)).map(e => e.USER.username)).toEqual(['alice', 'bob']);
+    expect(env.KV.list).toHaveBeenLastCalledWith({ prefix: 'account:', cursor: 'next' });
+  });
+});
+
+describe('namespacedKV', () => {
+  it('prefixes keys and strips the prefix from list results', async () => {
+    const kv = createMockKV({ 'u:1:heard:a': '1', 'u:2:heard:b': '1' });
+    const scoped = namespacedKV(kv, 'u:1:');
+
+    expect(await scoped.get('heard:a')).toBe('1');
+    expect(await scoped.get('heard:b')).toBeNull();
+    expect((await scoped.list({ prefix: 'heard:' })).keys).toEqual([{ name: 'heard:a' }]);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Request body validation
+ *
+ * POST handlers read their body with `readBody(request, schema)`. A schema maps each
+ * field name to a rule: a function of the field's value (and the whole body, for
+ * fields that depend on another) that returns an error message, or null when the value
+ * is fine. Every bad field is reported at once in a ValidationError, which the router
+ * turns into a 400 with the messages under `fields`. Fields not in the schema are ignored.
+ * A body that isn't JSON at all raises InvalidJsonError, so other parse failures (corrupt
+ * KV values, odd upstream payloads) still surface as server errors.
+ */
+
+import { DOCUMENT_ID_PATTERN } from './config.js';
+
+export class ValidationError extends Error {
+  /** @param {Record<string, string>} fields - error message per field */
+  constructor(fields) {
+    super(Object.entries(fields).map(([field, message]) => `${field} ${message}`).join('; '));
+    this.name = 'ValidationError';
+    this.fields = fields;
+  }
+}
+
+export class InvalidJsonError extends Error {
+  constructor() {
+    super('Request body must be valid JSON');
+    this.name = 'InvalidJsonError';
+  }
+}
+
+/**
+ * Parses a JSON request body and checks it against `schema`.
+ * @returns {Promise<object>} the body, unchanged
+ * @throws {ValidationError} when any field is invalid
+ * @throws {InvalidJsonError} when the body isn't JSON
+ */
+export async function readBody(request, schema) {
+  return validateBody(await parseJson(request), schema);
+}
+
+// For bodies checked elsewhere; every request body is parsed through here
+export async function parseJson(request) {
+  try {
+    return await request.json();
+  } catch {
+    throw new InvalidJsonError();
+  }
+}
+
+export function validateBody(body, schema) {
+  const fields = fieldErrors(body, schema);
+  if (Object.keys(fields).length > 0) throw new ValidationError(fields);
+  return body;
+}
+
+/**
+ * The error message per invalid field, with field names under `path`
+ * (e.g. "operations[2]" gives "operations[2].id").
+ * @returns {Record<string, string>}
+ */
+export function fieldErrors(value, schema, path = '') {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { [path || 'body']: 'must be a JSON object' };
+  }
+  const fields = {};
+  for (const [name, rule] of Object.entries(schema)) {
+    const message = rule(value[name], value);
+    if (message) fields[path ? `${path}.${name}` : name] = message;
+  }
+  return fields;
+}
+
+// ============ RULES ============
+
+// Missing (undefined or null) fields are an error unless the rule is `optional`
+function rule(optional, check) {
+  return (value, body) => {
+    if (value === undefined || value === null) return optional ? null : 'is required';
+    return check(value, body);
+  };
+}
+
+export function documentId({ optional = false } = {}) {
+  return rule(optional, value => (
+    typeof value === 'string' && DOCUMENT_ID_PATTERN.test(value) ? null : 'must be a Reader document ID'
+  ));
+}
+
+// Strings must have more than whitespace unless `allowEmpty`
+export function text({ max, optional = false, allowEmpty = false } = {}) {
+  return rule(optional, value => {
+    if (typeof value !== 'string') return 'must be a string';
+    if (!allowEmpty && !value.trim()) return 'must not be empty';
+    if (max !== undefined && value.length > max) return `must be at most ${max} characters`;
+    return null;
+  });
+}
+
+export function number({ min, max, optional = false }) {
+  return rule(optional, value => (
+    typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max ? null : `must be a number from ${min} to ${max}`
+  ));
+}
+
+export function integer({ min = 0, optional = false } = {}) {
+  return rule(optional, value => (Number.isInteger(value) && value >= min ? null : `must be a whole number of at least ${min}`));
+}
+
+export function oneOf(values, { optional = false } = {}) {
+  return rule(optional, value => (values.includes(value) ? null : `must be one of: ${values.join(', ')}`));
+}
+
+export function list({ min = 0, max, optional = false } = {}) {
+  return rule(optional, value => {
+    if (!Array.isArray(value)) return 'must be an array';
+    if (value.length < min) return min === 1 ? 'must not be empty' : `must have at least ${min} entries`;
+    if (max !== undefined && value.length > max) return `must have at most ${max} entries`;
+    return null;
+  });
+}
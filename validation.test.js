@@ -0,0 +1,66 @@
+/**
+ * Tests for request body validation
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ValidationError, InvalidJsonError, readBody, validateBody, fieldErrors, documentId, text, number, integer, oneOf, list } from './validation.js';
+
+const jsonRequest = body => new Request('https://example.com/api/v1/tag', { method: 'POST', body });
+
+describe('validation', () => {
+  it('returns the body when every field is valid', async () => {
+    const schema = { id: documentId(), tag: text() };
+    const body = await readBody(jsonRequest('{"id":"01kg2p7xwgmc735p4356a4fajf","tag":"work","extra":1}'), schema);
+    expect(body).toEqual({ id: '01kg2p7xwgmc735p4356a4fajf', tag: 'work', extra: 1 });
+  });
+
+  it('reports every bad field at once', () => {
+    const schema = { id: documentId(), text: text({ max: 5 }), speed: number({ min: 0.25, max: 4, optional: true }) };
+    let error;
+    try {
+      validateBody({ text: 'too long', speed: '1' }, schema);
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.fields).toEqual({
+      id: 'is required',
+      text: 'must be at most 5 characters',
+      speed: 'must be a number from 0.25 to 4',
+    });
+    expect(error.message).toBe('id is required; text must be at most 5 characters; speed must be a number from 0.25 to 4');
+  });
+
+  it('rejects bodies that are not objects', () => {
+    expect(fieldErrors(null, { id: documentId() })).toEqual({ body: 'must be a JSON object' });
+    expect(fieldErrors([], { id: documentId() }, 'operations[0]')).toEqual({ 'operations[0]': 'must be a JSON object' });
+  });
+
+  it('checks each rule', () => {
+    expect(documentId()('../v3/delete')).toBe('must be a Reader document ID');
+    expect(documentId()(42)).toBe('must be a Reader document ID');
+    expect(documentId({ optional: true })(null)).toBeNull();
+    expect(text()('   ')).toBe('must not be empty');
+    expect(text({ allowEmpty: true })('')).toBeNull();
+    expect(text()(['a'])).toBe('must be a string');
+    expect(number({ min: 0, max: 1 })(Number.NaN)).toBe('must be a number from 0 to 1');
+    expect(integer()(1.5)).toBe('must be a whole number of at least 0');
+    expect(oneOf(['mp3', 'aac'])('wav')).toBe('must be one of: mp3, aac');
+    expect(list({ min: 1 })([])).toBe('must not be empty');
+    expect(list({ max: 2 })([1, 2, 3])).toBe('must have at most 2 entries');
+  });
+
+  it('passes the whole body to rules that depend on another field', () => {
+    const schema = { tag: (tag, { action }) => (action === 'add_tag' ? text()(tag) : null) };
+    expect(fieldErrors({ action: 'add_tag' }, schema, 'operations[3]')).toEqual({ 'operations[3].tag': 'is required' });
+    expect(fieldErrors({ action: 'archive' }, schema)).toEqual({});
+  });
+
+  it('raises InvalidJsonError for malformed JSON', async () => {
+    await expect(readBody(jsonRequest('{oops'), {})).rejects.toBeInstanceOf(InvalidJsonError);
+    await expect(readBody(jsonRequest(''), {})).rejects.toBeInstanceOf(InvalidJsonError);
+  });
+});
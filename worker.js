@@ -12,7 +12,33 @@
 
 // ============ CONFIGURATION ============
 
-import { CLAUDE_MODEL, SUMMARY_WORD_TARGET, MAX_ARTICLES, SUMMARY_CACHE_TTL, SYSTEM_PROMPT } from './config.js';
+import {
+  SUMMARY_WORD_TARGET, MAX_ARTICLES, READWISE_PAGE_SIZE, SUMMARY_CACHE_TTL, READWISE_CATEGORIES,
+  SUMMARIZER_BACKENDS, SUMMARIZER_BY_LOCATION, SUMMARY_STYLES, DEFAULT_SUMMARY_STYLE,
+  SUMMARY_SECTION_CHARS, SUMMARY_MAX_SECTIONS, SECTION_SUMMARY_PROMPT,
+  SUMMARY_QUEUE_BATCH, SUMMARY_QUEUE_KICK_BATCH, SUMMARY_QUEUE_TTL, SUMMARY_QUEUE_MAX_ATTEMPTS,
+  PRESYNC_CRON, PRESYNC_LOCATIONS, PRESYNC_MAX_SUMMARIES, SYNC_SNAPSHOT_TTL,
+  SYNC_CURSOR_TTL, SYNC_MAX_CHANGES, SYNC_CURSOR_MAX_IDS, SYNC_CLIENT_ID_PATTERN, UNDO_WINDOW, PENDING_DELETE_TTL,
+  BATCH_MAX_OPERATIONS, BATCH_CONCURRENCY, QUICK_TAGS, NOTE_MAX_CHARS, HIGHLIGHT_MAX_CHARS,
+  PROGRESS_SYNC_STEP, SUMMARY_HEARD_PROGRESS, USAGE_MAX_DAYS, USAGE_MAX_CALLS, OFFLINE_DOWNLOAD_COUNT, SHELL_CACHE_VERSION,
+  DEFAULT_TTS_PROVIDER, TTS_PROVIDERS, TTS_CACHE_TTL, TTS_FORMATS, TTS_MIN_SPEED, TTS_MAX_SPEED, TTS_MAX_INSTRUCTIONS,
+  TTS_DELIVERY_STYLES, TTS_SEGMENT_CHARS, TTS_MAX_INPUT_CHARS,
+} from './config.js';
+import { htmlToSpeechParagraphs, htmlToSpeechText } from './speech-text.js';
+import {
+  ReadwiseError, ReadwiseAuthError, ReadwiseRateLimitError, ReadwiseNotFoundError,
+  listDocuments, getDocument, updateDocument, deleteDocument, createHighlight,
+} from './readwise-client.js';
+import {
+  AccountError, isMultiUser, registerUser, authenticateUser, updateReadwiseToken, allUserEnvs,
+  createSession, deleteSession, sessionTokenFrom, sessionCookie, resolveUserEnv,
+} from './users.js';
+import {
+  accessControlEnabled, loginMethods, authorizeRequest, passphraseLogin, checkTeamPassphrase,
+  throttleLogin, corsOriginHeaders,
+} from './auth.js';
+import { BudgetExceededError, recordUsage, getUsageReport, isOverBudget } from './usage.js';
+import { ValidationError, InvalidJsonError, readBody, parseJson, fieldErrors, documentId, text, number, integer, oneOf, list } from './validation.js';
 import { mockReadwiseList, mockReadwiseUpdate, mockReadwiseDelete } from './mocks/readwise-api.js';
 import { mockTTSResponse } from './mocks/tts-api.js';
 import { mockClaudeResponse } from './mocks/claude-api.js';
@@ -27,9 +53,10 @@ export default {
     const path = url.pathname;
 
     const corsHeaders = {
-      'Access-Control-Allow-Origin': '*',
+      ...corsOriginHeaders(request, env),
       'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Headers': 'Content-Type, If-None-Match, Authorization, X-API-Key',
+      'Access-Control-Expose-Headers': 'ETag, Retry-After',
     };
 
     if (request.method === 'OPTIONS') {
@@ -37,52 +64,248 @@ export default {
     }
 
     try {
-      if (path === '/' || path.endsWith('/index.html')) {
+      if (request.method === 'GET' && (path === '/' || path === '/index.html')) {
         return await serveHTML(env);
       }
-      if (path.includes('/api/feed')) {
-        return await handleFeed(request, env, corsHeaders);
+      if (request.method === 'GET' && path === '/manifest.json') {
+        return serveManifest();
       }
-      if (path.includes('/api/tts') && request.method === 'POST') {
-        return await handleTTS(request, env, corsHeaders);
+      if (request.method === 'GET' && path === '/sw.js') {
+        return serveServiceWorker();
       }
-      if (path.includes('/api/archive') && request.method === 'POST') {
-        return await handleArchive(request, env, corsHeaders);
+      if (request.method === 'GET' && path === '/favicon.ico') {
+        const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><rect fill="%23e94560" width="100" height="100" rx="20"/><text x="50" y="65" text-anchor="middle" font-size="50" fill="white">🎧</text></svg>';
+        return new Response(svg, { headers: { 'Content-Type': 'image/svg+xml' } });
       }
-      if (path.includes('/api/delete') && request.method === 'POST') {
-        return await handleDelete(request, env, corsHeaders);
+      if (!path.startsWith('/api/')) {
+        return new Response('Not Found', { status: 404 });
       }
-      if (path.includes('/api/later') && request.method === 'POST') {
-        return await handleLater(request, env, corsHeaders);
+
+      const match = matchRoute(request.method, path);
+      if (!match) {
+        return errorResponse(`No API route at ${path}`, corsHeaders, 404);
       }
-      if (path === '/manifest.json') {
-        return serveManifest();
+      if (!match.route) {
+        return errorResponse(`${request.method} is not allowed on ${path}`, { ...corsHeaders, 'Allow': match.allowed.join(', ') }, 405);
       }
-      if (path === '/favicon.ico') {
-        const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><rect fill="%23e94560" width="100" height="100" rx="20"/><text x="50" y="65" text-anchor="middle" font-size="50" fill="white">🎧</text></svg>';
-        return new Response(svg, { headers: { 'Content-Type': 'image/svg+xml' } });
+      // Once sign-in is configured, API calls need a session or API key (see auth.js).
+      // In multi-user mode they then run as the signed-in user.
+      if (!match.route.public) {
+        const authorizedEnv = await authorizeRequest(request, env);
+        if (!authorizedEnv) return signInRequired(env, corsHeaders);
+        env = authorizedEnv;
       }
-
-      return new Response('Not Found', { status: 404 });
+      return await match.route.handler(request, env, corsHeaders, ctx, match.params);
     } catch (error) {
+      if (error instanceof ValidationError) {
+        return errorResponse(error.message, corsHeaders, 400, { fields: error.fields });
+      }
+      if (error instanceof AccountError) {
+        return errorResponse(error.message, corsHeaders, error.status);
+      }
+      if (error instanceof ReadwiseError) {
+        console.error(`Readwise error (${error.upstreamStatus ?? 'network'}):`, error.message);
+        if (error instanceof ReadwiseRateLimitError) {
+          return errorResponse(error.message, { ...corsHeaders, 'Retry-After': String(error.retryAfter) }, 429, { retry_after: error.retryAfter });
+        }
+        return errorResponse(error.message, corsHeaders, error.status, { code: READWISE_ERROR_CODES[error.name] });
+      }
+      if (error instanceof InvalidJsonError) {
+        return errorResponse(error.message, corsHeaders, 400, { code: 'invalid_json' });
+      }
       console.error('Worker error:', error);
-      return new Response(JSON.stringify({ error: error.message }), {
-        status: 500,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-      });
+      return errorResponse(error.message, corsHeaders, 500);
+    }
+  },
+
+  async scheduled(event, env, ctx) {
+    const envs = isMultiUser(env) ? await allUserEnvs(env) : [env];
+    if (event.cron === PRESYNC_CRON) {
+      ctx.waitUntil(presyncAccounts(envs));
+      return;
+    }
+    for (const userEnv of envs) {
+      ctx.waitUntil(processSummaryQueue(userEnv, SUMMARY_QUEUE_BATCH));
+      ctx.waitUntil(processPendingDeletes(userEnv));
+    }
+  },
+};
+
+// ============ ROUTES ============
+
+// Every API route answers under /api/v1 and, for clients from before versioning, /api.
+// Paths match exactly; `:name` segments are passed to the handler as params. Public
+// routes skip the sign-in check. Handlers take (request, env, corsHeaders, ctx, params).
+const API_ROUTES = [
+  { method: 'GET', path: '/feed', handler: handleFeed },
+  { method: 'GET', path: '/summaries', handler: handleSummaries },
+  { method: 'GET', path: '/article/:id/text', handler: handleArticleText },
+  { method: 'GET', path: '/voices', handler: handleVoices, public: true },
+  { method: 'POST', path: '/tts', handler: handleTTS },
+  { method: 'POST', path: '/tts/purge', handler: handleTTSPurge },
+  { method: 'POST', path: '/archive', handler: handleArchive },
+  { method: 'POST', path: '/delete', handler: handleDelete },
+  { method: 'POST', path: '/later', handler: handleLater },
+  { method: 'POST', path: '/shortlist', handler: handleShortlist },
+  { method: 'POST', path: '/tag', handler: handleTag },
+  { method: 'POST', path: '/note', handler: handleNote },
+  { method: 'POST', path: '/progress', handler: handleProgress },
+  { method: 'POST', path: '/highlight', handler: handleHighlight },
+  { method: 'POST', path: '/batch', handler: handleBatch },
+  { method: 'POST', path: '/undo', handler: handleUndo },
+  { method: 'GET', path: '/usage', handler: handleUsage },
+  { method: 'POST', path: '/auth/login', handler: handleLogin, public: true },
+  { method: 'POST', path: '/auth/logout', handler: handleLogout, public: true },
+  { method: 'GET', path: '/auth/me', handler: handleMe, public: true },
+  { method: 'POST', path: '/auth/register', handler: handleRegister, public: true },
+  { method: 'POST', path: '/auth/token', handler: handleTokenUpdate, public: true },
+];
+
+const API_PREFIXES = ['/api/v1', '/api'];
+
+/**
+ * Finds the route for a request path.
+ * @returns {{ route: object, params: object } | { allowed: string[] } | null}
+ *   the route and its params; the methods the path does allow; or null for no such path
+ */
+export function matchRoute(method, path) {
+  const prefix = API_PREFIXES.find(p => path.startsWith(p + '/'));
+  if (!prefix) return null;
+  const routePath = path.slice(prefix.length);
+
+  const allowed = [];
+  for (const route of API_ROUTES) {
+    const params = matchPath(route.path, routePath);
+    if (!params) continue;
+    if (route.method === method) return { route, params };
+    allowed.push(route.method);
+  }
+  return allowed.length > 0 ? { allowed } : null;
+}
+
+function matchPath(pattern, path) {
+  const patternParts = pattern.split('/');
+  const pathParts = path.split('/');
+  if (patternParts.length !== pathParts.length) return null;
+
+  const params = {};
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i].startsWith(':')) {
+      if (!pathParts[i]) return null;
+      try {
+        params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+      } catch {
+        return null; // Malformed %-escape
+      }
+    } else if (patternParts[i] !== pathParts[i]) {
+      return null;
     }
+  }
+  return params;
+}
+
+// ============ REQUEST SCHEMAS ============
+
+// POST bodies, checked by readBody (see validation.js)
+const READER_LOCATIONS = ['new', 'later', 'shortlist', 'archive', 'feed'];
+
+const MOVE_BODY = { id: documentId(), location: oneOf(READER_LOCATIONS, { optional: true }) };
+const ID_BODY = { id: documentId() };
+
+const TTS_BODY = {
+  text: text({ max: TTS_MAX_INPUT_CHARS }),
+  provider: oneOf(Object.keys(TTS_PROVIDERS), { optional: true }),
+  // Only the chosen provider's voices; an unknown provider is reported on its own
+  voice: (voice, { provider = DEFAULT_TTS_PROVIDER }) => (Object.hasOwn(TTS_PROVIDERS, provider)
+    ? oneOf(TTS_PROVIDERS[provider].voices.map(v => v.id), { optional: true })(voice)
+    : null),
+  speed: number({ min: TTS_MIN_SPEED, max: TTS_MAX_SPEED, optional: true }),
+  instructions: text({ max: TTS_MAX_INSTRUCTIONS, optional: true, allowEmpty: true }),
+  format: oneOf(Object.keys(TTS_FORMATS), { optional: true }),
+  article_id: documentId({ optional: true }),
+};
+
+const TAG_BODY = { id: documentId(), tag: text() };
+const NOTE_BODY = { id: documentId(), note: text({ max: NOTE_MAX_CHARS }) };
+const PROGRESS_BODY = { id: documentId(), progress: number({ min: 0, max: 1 }) };
+
+const HIGHLIGHT_BODY = {
+  id: documentId({ optional: true }),
+  text: text({ max: HIGHLIGHT_MAX_CHARS }),
+  note: text({ max: HIGHLIGHT_MAX_CHARS, optional: true, allowEmpty: true }),
+  // Without a document ID the client has to say what the highlight is from
+  title: (title, { id }) => {
+    const hasId = id !== undefined && id !== null;
+    return text({ optional: hasId, allowEmpty: hasId })(title);
   },
+  author: text({ optional: true, allowEmpty: true }),
+  source_url: text({ optional: true, allowEmpty: true }),
+  paragraph_index: integer({ optional: true }),
 };
 
+// Which sign-in fields are needed depends on the mode, so login only checks types here
+const LOGIN_BODY = {
+  username: text({ optional: true, allowEmpty: true }),
+  password: text({ optional: true, allowEmpty: true }),
+  passphrase: text({ optional: true, allowEmpty: true }),
+  code: text({ optional: true, allowEmpty: true }),
+};
+const REGISTER_BODY = {
+  username: text(),
+  password: text(),
+  readwise_token: text(),
+  passphrase: text({ optional: true, allowEmpty: true }),
+};
+const TOKEN_BODY = { readwise_token: text() };
+
 // ============ API HANDLERS ============
 
-async function handleFeed(request, env, corsHeaders) {
+async function handleFeed(request, env, corsHeaders, ctx) {
   const url = new URL(request.url);
   const location = url.searchParams.get('location') || 'all'; // 'feed', 'library', 'all'
   const useMock = url.searchParams.get('mock') === 'true';
-
-  // 1. Fetch articles from Readwise Reader
-  const articles = await fetchAllReadwiseArticles(env, location, useMock);
+  const refresh = url.searchParams.get('refresh') === 'true';
+  const style = url.searchParams.get('style') || DEFAULT_SUMMARY_STYLE;
+  if (!Object.hasOwn(SUMMARY_STYLES, style)) {
+    return errorResponse(`style must be one of: ${Object.keys(SUMMARY_STYLES).join(', ')}`, corsHeaders, 400);
+  }
+  const { filters, error: filterError } = parseFeedFilters(url.searchParams);
+  if (filterError) {
+    return errorResponse(filterError, corsHeaders, 400);
+  }
+  const filtered = Object.keys(filters).length > 0;
+  const pageCursors = url.searchParams.has('cursor') ? decodeFeedCursor(url.searchParams.get('cursor')) : null;
+  if (url.searchParams.has('cursor') && !pageCursors) {
+    return errorResponse('cursor is invalid', corsHeaders, 400);
+  }
+  // Each app install keeps its own sync cursor, so one device's sync can't hide changes from another
+  const clientId = url.searchParams.get('client');
+  if (clientId !== null && !SYNC_CLIENT_ID_PATTERN.test(clientId)) {
+    return errorResponse('client must be 8-64 letters, digits, dashes or underscores', corsHeaders, 400);
+  }
+  const incremental = url.searchParams.get('incremental') === 'true' && clientId && !refresh && !filtered && !pageCursors;
+
+  // 1. Fetch only what changed since the client's cursor, the next page of a paged listing,
+  //    or the first page from Readwise Reader (or the morning pre-sync snapshot, which is unfiltered)
+  const syncStartedAt = Date.now();
+  const cursor = incremental ? await getSyncCursor(env, clientId, location) : null;
+  const changes = cursor ? await fetchReadwiseChanges(env, location, cursor) : null;
+  const snapshot = changes || refresh || filtered || pageCursors ? null : await takeSyncSnapshot(env, location);
+  // A snapshot is the first page as the cron fetched it, cursors included
+  const page = changes ? null
+    : snapshot ? { articles: snapshot.articles, nextPageCursors: snapshot.next_page_cursors || null }
+    : await fetchReadwisePage(env, location, filters, pageCursors);
+  const articles = changes ? changes.articles : page.articles;
+  const syncedAt = snapshot ? snapshot.synced_at : syncStartedAt;
+
+  // A filtered list isn't the whole location, so it can't seed the cursor.
+  // Later pages add to the known IDs without moving the sync time.
+  if (clientId && !filtered && pageCursors) {
+    const existing = await getSyncCursor(env, clientId, location);
+    if (existing) await saveSyncCursor(env, clientId, location, existing.synced_at, [...existing.ids, ...articles.map(a => a.id)]);
+  } else if (clientId && !filtered) {
+    await saveSyncCursor(env, clientId, location, syncedAt, changes ? changes.knownIds : articles.map(a => a.id));
+  }
 
   // 2. Get heard/later articles from KV
   const heardIds = await getHeardIds(env);
@@ -95,109 +318,206 @@ async function handleFeed(request, env, corsHeaders) {
     return !isHeard || isLater;
   });
 
-  // 4. Summarize each article (with caching!)
+  // 4. Serve cached summaries, queue the rest for background summarization.
+  //    Only this page is summarized; later pages are queued when they're loaded.
+  //    Over the monthly summary budget, only cached summaries are served.
+  const queued = await getQueuedIds(env);
+  const overBudget = !useMock && await isOverBudget(env, 'summaries');
   const summaries = [];
+  let pending = 0;
   for (const article of newArticles.slice(0, MAX_ARTICLES)) {
     try {
-      const generatedUrl = `https://read.readwise.io/read/${article.id}`;
-      // console.log(`[DEBUG] Processing Article: "${article.title}" (ID: ${article.id}) Location: ${article.location}`);
-
-      const summary = await getCachedOrSummarize(article, env, useMock);
-      summaries.push({
-        id: article.id,
-        title: article.title || 'Untitled',
-        source: extractSource(article),
-        summary: summary,
-        content: article.content || article.html || article.text || '',
-        url: article.url,
-        readwise_url: generatedUrl,
-        original_url: article.source_url || article.url,
-        word_count: (article.content || '').split(/\s+/).length,
-        location: article.location,
-        image_url: article.image_url || article.cover_image_url || article.cover_image,
-        published_date: article.published_date,
-        saved_at: article.saved_at,
-      });
+      const summary = await env.KV.get(summaryCacheKey(article.id, getSummarizer(article.location, env), style));
+      const formatted = { ...formatFeedArticle(article, summary), summary_style: style };
+      if (!summary && overBudget) {
+        formatted.summary_status = 'over_budget';
+      } else if (!summary) {
+        pending++;
+        if (!queued.has(`${style}:${article.id}`)) await enqueueSummary(article, env, useMock, style);
+      }
+      summaries.push(formatted);
 
       if (laterIds.has(article.id)) {
         await env.KV.delete(`later:${article.id}`);
       }
     } catch (error) {
-      console.error(`Failed to summarize article ${article.id}:`, error);
+      console.error(`Failed to load article ${article.id}:`, error);
     }
   }
 
-  return new Response(JSON.stringify({
+  // Start on the queue now rather than waiting for the next cron tick
+  if (pending > 0 && ctx?.waitUntil) {
+    ctx.waitUntil(processSummaryQueue(env, SUMMARY_QUEUE_KICK_BATCH));
+  }
+
+  return jsonResponse({
     articles: summaries,
     total_available: newArticles.length,
+    pending: pending,
     location: location,
-  }), {
-    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-  });
+    style: style,
+    filters: filters,
+    next_cursor: page ? encodeFeedCursor(page.nextPageCursors) : null,
+    incremental: Boolean(changes),
+    changes: changes ? { added: changes.added, updated: changes.updated, removed: changes.removed } : null,
+    summary_budget_exceeded: overBudget,
+    synced_at: syncedAt,
+  }, corsHeaders);
 }
 
-async function handleTTS(request, env, corsHeaders) {
+async function handleSummaries(request, env, corsHeaders, ctx) {
   const url = new URL(request.url);
-  const useMock = url.searchParams.get('mock') === 'true';
+  // Entries are "id:location" so we can find the summarizer the article was queued with.
+  // Clients with more pending articles than MAX_ARTICLES ask in several requests.
+  const items = (url.searchParams.get('ids') || '').split(',').filter(Boolean);
+  if (items.length > MAX_ARTICLES) {
+    return errorResponse(`ids must list at most ${MAX_ARTICLES} articles`, corsHeaders, 400);
+  }
+  const style = url.searchParams.get('style') || DEFAULT_SUMMARY_STYLE;
+  if (!Object.hasOwn(SUMMARY_STYLES, style)) {
+    return errorResponse(`style must be one of: ${Object.keys(SUMMARY_STYLES).join(', ')}`, corsHeaders, 400);
+  }
+
+  const summaries = {};
+  const pending = [];
+  for (const item of items) {
+    const [id, location] = item.split(':');
+    const summary = await env.KV.get(summaryCacheKey(id, getSummarizer(location, env), style));
+    if (summary) summaries[id] = summary;
+    else pending.push(id);
+  }
 
-  if (request.method !== 'POST') {
-    return new Response('Method Not Allowed', { status: 405, headers: corsHeaders });
+  // Polling clients keep the queue moving between cron runs. Over the budget nothing
+  // pending will be summarized this month, so clients can stop asking.
+  const overBudget = pending.length > 0 && await isOverBudget(env, 'summaries');
+  if (pending.length > 0 && !overBudget && ctx?.waitUntil) {
+    ctx.waitUntil(processSummaryQueue(env, SUMMARY_QUEUE_KICK_BATCH));
   }
 
+  return jsonResponse({ summaries, pending, summary_budget_exceeded: overBudget }, corsHeaders);
+}
+
+async function handleTTS(request, env, corsHeaders, ctx) {
+  const url = new URL(request.url);
+  const useMock = url.searchParams.get('mock') === 'true';
+
+  // The mock reads the body itself
+  const body = await readBody(useMock ? request.clone() : request, TTS_BODY);
   if (useMock) {
     console.log('[Mock] Handling TTS request');
     return mockTTSResponse(request);
   }
 
-  const { text, voice = 'alloy', speed = 1.0 } = await request.json();
+  const { text, article_id: articleId, speed = 1.0, format = 'mp3' } = body;
+  const provider = getTTSProvider(body.provider || DEFAULT_TTS_PROVIDER, env);
+  const voice = body.voice || provider.defaultVoice;
+  const instructions = provider.supportsInstructions ? (body.instructions || '').trim() : '';
+
+  if (!provider.isConfigured) {
+    return jsonResponse({ use_browser_tts: true, text }, corsHeaders);
+  }
+
+  const settings = { provider, voice, speed, instructions, format };
+  const hash = await ttsHash(text, settings);
+  const audioHeaders = {
+    ...corsHeaders,
+    'Content-Type': TTS_FORMATS[format],
+    'ETag': `"${hash}"`,
+    'Cache-Control': `private, max-age=${TTS_CACHE_TTL}`,
+  };
 
-  // Sanity check for API key
-  console.log('API Key starts with sk-:', env.OPENAI_API_KEY?.startsWith('sk-'));
+  // The client already holds this exact audio
+  if (request.headers.get('If-None-Match') === `"${hash}"`) {
+    return new Response(null, { status: 304, headers: audioHeaders });
+  }
 
-  if (!env.OPENAI_API_KEY) {
-    return new Response(JSON.stringify({ use_browser_tts: true, text }), {
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  // Over the monthly TTS budget, only text whose every segment is already cached is served
+  const segments = splitAtSentences(text, TTS_SEGMENT_CHARS);
+  if (await isOverBudget(env, 'tts')) {
+    const cached = [];
+    for (const segment of segments) {
+      const hit = await synthesizeSegment(env, ctx, segment, settings, articleId, true);
+      if (!hit) return jsonResponse({ use_browser_tts: true, text, reason: 'budget_exceeded' }, corsHeaders);
+      cached.push(hit.body);
+    }
+    return new Response(new Blob(cached), {
+      headers: { ...audioHeaders, 'X-Cache': 'HIT', ...(segments.length > 1 && { 'X-TTS-Segments': String(segments.length) }) },
     });
   }
 
-  const response = await fetch('https://api.openai.com/v1/audio/speech', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${env.OPENAI_API_KEY}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      model: 'gpt-4o-mini-tts',
-      input: text.slice(0, 4096),
-      voice: voice,
-      format: 'mp3',
-    }),
-  });
+  // Synthesize the first segment up front so a provider failure can still fall back to browser TTS
+  const first = await synthesizeSegment(env, ctx, segments[0], settings, articleId);
+  if (!first) {
+    return jsonResponse({ use_browser_tts: true, text }, corsHeaders);
+  }
 
-  if (!response.ok) {
-    console.error('OpenAI TTS error:', await response.text());
-    return new Response(JSON.stringify({ use_browser_tts: true, text }), {
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-    });
+  if (segments.length === 1) {
+    return new Response(first.body, { headers: { ...audioHeaders, 'X-Cache': first.cacheHit ? 'HIT' : 'MISS' } });
   }
 
-  // Stream the response directly to the client
-  return new Response(response.body, {
-    headers: {
-      ...corsHeaders,
-      'Content-Type': 'audio/mpeg',
-    },
+  // Long text: stream the segments back-to-back as one continuous response
+  const { readable, writable } = new TransformStream();
+  const pump = pipeSegments(env, ctx, first, segments.slice(1), settings, articleId, writable);
+  if (ctx?.waitUntil) ctx.waitUntil(pump);
+
+  return new Response(readable, { headers: { ...audioHeaders, 'X-TTS-Segments': String(segments.length) } });
+}
+
+async function handleArticleText(request, env, corsHeaders, ctx, { id }) {
+  const url = new URL(request.url);
+  const useMock = url.searchParams.get('mock') === 'true';
+
+  const doc = useMock
+    ? ((await (await mockReadwiseList(request)).json()).results.find(d => d.id === id) || null)
+    : await getDocument(env, id);
+  if (!doc) {
+    return errorResponse('Article not found', corsHeaders, 404, { code: 'document_not_found' });
+  }
+
+  const paragraphs = htmlToSpeechParagraphs(doc.html_content || doc.content || doc.summary || '');
+  return jsonResponse({
+    id: doc.id,
+    title: doc.title || 'Untitled',
+    source: extractSource(doc),
+    paragraphs,
+    text: paragraphs.join('\n\n'),
+  }, corsHeaders);
+}
+
+function handleVoices(request, env, corsHeaders) {
+  const providers = Object.keys(TTS_PROVIDERS).map(name => {
+    const provider = getTTSProvider(name, env);
+    return {
+      id: provider.name,
+      label: provider.label,
+      model: provider.model,
+      configured: provider.isConfigured,
+      default_voice: provider.defaultVoice,
+      supports_instructions: provider.supportsInstructions,
+      voices: provider.voices,
+    };
   });
+  return jsonResponse({ default_provider: DEFAULT_TTS_PROVIDER, providers }, corsHeaders);
+}
+
+async function handleTTSPurge(request, env, corsHeaders) {
+  const { id } = await readBody(request, ID_BODY);
+  const indexKey = `tts-index:${id}`;
+  const hashes = JSON.parse(await env.KV.get(indexKey) || '[]');
+
+  await Promise.all(hashes.map(hash => env.KV.delete(`tts:${hash}`)));
+  await env.KV.delete(indexKey);
+
+  return jsonResponse({ success: true, purged: hashes.length }, corsHeaders);
 }
 
 async function handleArchive(request, env, corsHeaders) {
   const url = new URL(request.url);
+  const { id, location } = await readBody(request, MOVE_BODY);
   if (url.searchParams.get('mock') === 'true') {
     return new Response(JSON.stringify({ success: true, mock: true }), { headers: { ...corsHeaders, 'Content-Type': 'application/json' } });
   }
-  const { id } = await request.json();
-  await env.KV.put(`heard:${id}`, Date.now().toString(), { expirationTtl: 60 * 60 * 24 * 30 });
-  await updateReadwiseDocument(id, { location: 'archive' }, env);
+  await archiveArticle(env, id, location);
   return new Response(JSON.stringify({ success: true }), {
     headers: { ...corsHeaders, 'Content-Type': 'application/json' },
   });
@@ -205,12 +525,11 @@ async function handleArchive(request, env, corsHeaders) {
 
 async function handleDelete(request, env, corsHeaders) {
   const url = new URL(request.url);
+  const { id } = await readBody(request, ID_BODY);
   if (url.searchParams.get('mock') === 'true') {
     return new Response(JSON.stringify({ success: true, mock: true }), { headers: { ...corsHeaders, 'Content-Type': 'application/json' } });
   }
-  const { id } = await request.json();
-  await env.KV.put(`heard:${id}`, Date.now().toString(), { expirationTtl: 60 * 60 * 24 * 30 });
-  await deleteReadwiseDocument(id, env);
+  await deleteArticle(env, id);
   return new Response(JSON.stringify({ success: true }), {
     headers: { ...corsHeaders, 'Content-Type': 'application/json' },
   });
@@ -218,84 +537,326 @@ async function handleDelete(request, env, corsHeaders) {
 
 async function handleLater(request, env, corsHeaders) {
   const url = new URL(request.url);
+  const { id, location } = await readBody(request, MOVE_BODY);
   if (url.searchParams.get('mock') === 'true') {
     return new Response(JSON.stringify({ success: true, mock: true }), { headers: { ...corsHeaders, 'Content-Type': 'application/json' } });
   }
-  const { id } = await request.json();
-  await env.KV.put(`later:${id}`, Date.now().toString(), { expirationTtl: 60 * 60 * 24 * 7 });
-  await env.KV.delete(`heard:${id}`);
+  await saveForLater(env, id, location);
   return new Response(JSON.stringify({ success: true }), {
     headers: { ...corsHeaders, 'Content-Type': 'application/json' },
   });
 }
 
+async function handleShortlist(request, env, corsHeaders) {
+  const url = new URL(request.url);
+  const { id, location } = await readBody(request, MOVE_BODY);
+  if (url.searchParams.get('mock') === 'true') {
+    return jsonResponse({ success: true, mock: true }, corsHeaders);
+  }
+  await shortlistArticle(env, id, location);
+  return jsonResponse({ success: true }, corsHeaders);
+}
+
+async function handleTag(request, env, corsHeaders) {
+  const url = new URL(request.url);
+  const { id, tag } = await readBody(request, TAG_BODY);
+  if (url.searchParams.get('mock') === 'true') {
+    return jsonResponse({ success: true, mock: true, tags: [tag.trim()] }, corsHeaders);
+  }
+  const tags = await updateTags(env, id, current => [...current, tag.trim()]);
+  return jsonResponse({ success: true, tags }, corsHeaders);
+}
+
+async function handleNote(request, env, corsHeaders) {
+  const url = new URL(request.url);
+  const { id, note } = await readBody(request, NOTE_BODY);
+  if (url.searchParams.get('mock') === 'true') {
+    return jsonResponse({ success: true, mock: true }, corsHeaders);
+  }
+  await addNote(env, id, note.trim());
+  return jsonResponse({ success: true }, corsHeaders);
+}
+
+async function handleProgress(request, env, corsHeaders) {
+  const url = new URL(request.url);
+  const { id, progress } = await readBody(request, PROGRESS_BODY);
+  if (url.searchParams.get('mock') === 'true') {
+    return jsonResponse({ success: true, mock: true, reading_progress: progress }, corsHeaders);
+  }
+  await setReadingProgress(env, id, progress);
+  return jsonResponse({ success: true, reading_progress: progress }, corsHeaders);
+}
+
+// Saves the paragraph being read aloud as a Readwise highlight, attributed to the
+// Reader document so it shows up in the normal review.
+async function handleHighlight(request, env, corsHeaders) {
+  const url = new URL(request.url);
+  const body = await readBody(request, HIGHLIGHT_BODY);
+  const { id, text, note, paragraph_index: paragraphIndex } = body;
+  if (url.searchParams.get('mock') === 'true') {
+    return jsonResponse({ success: true, mock: true, highlight_id: null }, corsHeaders);
+  }
+
+  // Clients send what they know about the document; fill in the rest from Reader
+  let { title, author, source_url: sourceUrl } = body;
+  if (!title && id) {
+    const doc = await getDocument(env, id);
+    if (!doc) throw new ReadwiseNotFoundError(id);
+    title = doc.title;
+    author = author || doc.author;
+    sourceUrl = sourceUrl || doc.source_url || doc.url;
+  }
+  if (!title) {
+    throw new ValidationError({ title: 'is required when the document has none' });
+  }
+
+  const { bookId, highlightId } = await createHighlight(env, {
+    text: text.trim(),
+    note: note?.trim() || undefined,
+    title,
+    author: author || undefined,
+    source_url: sourceUrl || undefined,
+    source_type: 'readwise_audio',
+    category: 'articles',
+    location: Number.isInteger(paragraphIndex) ? paragraphIndex + 1 : undefined,
+    location_type: Number.isInteger(paragraphIndex) ? 'order' : undefined,
+    highlighted_at: new Date().toISOString(),
+    highlight_url: id ? `https://read.readwise.io/read/${id}` : undefined,
+  });
+  return jsonResponse({ success: true, book_id: bookId, highlight_id: highlightId }, corsHeaders);
+}
+
+async function handleBatch(request, env, corsHeaders) {
+  const url = new URL(request.url);
+  const operations = parseBatchOperations(await parseJson(request));
+  if (url.searchParams.get('mock') === 'true') {
+    const results = operations.map(({ id, action }) => ({ id, action, ok: true }));
+    return jsonResponse({ results, succeeded: results.length, failed: 0, mock: true }, corsHeaders);
+  }
+
+  // Once Readwise says we're rate limited, the remaining operations are skipped rather than hammering it
+  let rateLimited = null;
+  const results = await mapWithConcurrency(operations, BATCH_CONCURRENCY, async (op) => {
+    const { id, action } = op;
+    if (rateLimited) {
+      return { id, action, ok: false, status: 429, error: 'Skipped after Readwise rate limit', retry_after: rateLimited.retryAfter };
+    }
+    try {
+      await BATCH_ACTIONS[action](env, op);
+      return { id, action, ok: true };
+    } catch (error) {
+      if (error instanceof ReadwiseRateLimitError) rateLimited = error;
+      if (!(error instanceof ReadwiseError)) console.error(`Batch ${action} failed for ${id}:`, error);
+      return { id, action, ok: false, status: error.status || 500, error: error.message };
+    }
+  });
+
+  const succeeded = results.filter(r => r.ok).length;
+  return jsonResponse({ results, succeeded, failed: results.length - succeeded }, corsHeaders);
+}
+
+async function handleUndo(request, env, corsHeaders) {
+  const url = new URL(request.url);
+  const { id } = await readBody(request, ID_BODY);
+  if (url.searchParams.get('mock') === 'true') {
+    return jsonResponse({ success: true, mock: true }, corsHeaders);
+  }
+  const raw = await env.KV.get(`action:${id}`);
+  if (!raw) {
+    return errorResponse('Nothing to undo for this article', corsHeaders, 404, { code: 'nothing_to_undo' });
+  }
+
+  const action = JSON.parse(raw);
+  await undoAction(env, action);
+  await env.KV.delete(`action:${id}`);
+  return jsonResponse({ success: true, undone: action.type, location: action.previous_location || null }, corsHeaders);
+}
+
+// Daily and monthly usage totals with estimated cost, plus the latest per-call records;
+// `days` and `months` set how far back, `calls` how many records
+async function handleUsage(request, env, corsHeaders) {
+  const url = new URL(request.url);
+  const days = Number(url.searchParams.get('days') || 30);
+  const months = Number(url.searchParams.get('months') || 3);
+  if (!Number.isInteger(days) || days < 1 || days > USAGE_MAX_DAYS) {
+    return errorResponse(`days must be a whole number from 1 to ${USAGE_MAX_DAYS}`, corsHeaders, 400);
+  }
+  if (!Number.isInteger(months) || months < 1 || months > 12) {
+    return errorResponse('months must be a whole number from 1 to 12', corsHeaders, 400);
+  }
+  const calls = Number(url.searchParams.get('calls') || 50);
+  if (!Number.isInteger(calls) || calls < 0 || calls > USAGE_MAX_CALLS) {
+    return errorResponse(`calls must be a whole number from 0 to ${USAGE_MAX_CALLS}`, corsHeaders, 400);
+  }
+  return jsonResponse(await getUsageReport(env, { days, months, calls }), corsHeaders);
+}
+
+// ============ ACCOUNT HANDLERS ============
+
+// Single-user sign-in takes the passphrase and/or TOTP code; multi-user sign-in takes
+// a username and password.
+async function handleLogin(request, env, corsHeaders) {
+  const credentials = await readBody(request, LOGIN_BODY);
+  return throttleLogin(request, env, async () => {
+    if (isMultiUser(env)) return signedIn(env, await authenticateUser(env, credentials), corsHeaders);
+    const token = await passphraseLogin(env, credentials);
+    return jsonResponse({ success: true, token }, { ...corsHeaders, 'Set-Cookie': sessionCookie(token) });
+  });
+}
+
+async function handleLogout(request, env, corsHeaders) {
+  if (isMultiUser(env)) await deleteSession(env, sessionTokenFrom(request));
+  return jsonResponse({ success: true }, { ...corsHeaders, 'Set-Cookie': sessionCookie('', 0) });
+}
+
+// Tells the client whether to show the sign-in screen
+async function handleMe(request, env, corsHeaders) {
+  const authorized = await authorizeRequest(request, env);
+  if (!authorized) return signInRequired(env, corsHeaders);
+  if (isMultiUser(env)) return jsonResponse({ multi_user: true, username: authorized.USER.username }, corsHeaders);
+  return jsonResponse(accessControlEnabled(env) ? { multi_user: false, signed_in: true } : { multi_user: false }, corsHeaders);
+}
+
+async function handleRegister(request, env, corsHeaders) {
+  if (!isMultiUser(env)) return multiUserOff(corsHeaders);
+  const { username, password, readwise_token, passphrase } = await readBody(request, REGISTER_BODY);
+  const user = await throttleLogin(request, env, async () => {
+    await checkTeamPassphrase(env, passphrase);
+    return registerUser(env, { username, password, readwiseToken: readwise_token });
+  });
+  return signedIn(env, user, corsHeaders, 201);
+}
+
+async function handleTokenUpdate(request, env, corsHeaders) {
+  if (!isMultiUser(env)) return multiUserOff(corsHeaders);
+  const userEnv = await resolveUserEnv(request, env);
+  if (!userEnv) return signInRequired(env, corsHeaders);
+  const { readwise_token } = await readBody(request, TOKEN_BODY);
+  await updateReadwiseToken(env, userEnv.USER, readwise_token);
+  return jsonResponse({ success: true }, corsHeaders);
+}
+
+function multiUserOff(corsHeaders) {
+  return errorResponse('Multi-user mode is off (set TOKEN_ENCRYPTION_KEY to enable it)', corsHeaders, 404);
+}
+
+// The session token goes in an HttpOnly cookie for the web app and in the body for API clients
+async function signedIn(env, user, corsHeaders, status = 200) {
+  const token = await createSession(env, user);
+  return jsonResponse({ success: true, username: user.username, token }, { ...corsHeaders, 'Set-Cookie': sessionCookie(token) }, status);
+}
+
+// The `auth_required` code tells the client this 401 is about the session, not the
+// Readwise token; `login` says which sign-in fields to show.
+function signInRequired(env, corsHeaders) {
+  return errorResponse('Sign in required', corsHeaders, 401, { code: 'auth_required', login: loginMethods(env) });
+}
+
 // ============ READWISE API ============
 
-async function fetchAllReadwiseArticles(env, locationFilter) {
-  const articlesMap = new Map();
+// Parses /api/feed filter params. `tag`, `category` and `updatedAfter` go to the Readwise
+// list API; `site`, `author` and word counts are applied here.
+export function parseFeedFilters(params) {
+  const filters = {};
+
+  for (const key of ['tag', 'site', 'author']) {
+    const value = params.get(key)?.trim();
+    if (value) filters[key] = value;
+  }
 
-  // Determine which Readwise locations to fetch based on our app's view filter
-  let targetLocations = [];
-  if (locationFilter === 'feed') {
-    targetLocations = ['feed'];
-  } else if (locationFilter === 'library') {
-    targetLocations = ['new', 'later', 'shortlist'];
-  } else {
-    // 'all' or default
-    targetLocations = ['new', 'later', 'shortlist', 'feed'];
+  const category = params.get('category');
+  if (category) {
+    if (!READWISE_CATEGORIES.includes(category)) {
+      return { error: `category must be one of: ${READWISE_CATEGORIES.join(', ')}` };
+    }
+    filters.category = category;
   }
 
+  for (const key of ['minWords', 'maxWords']) {
+    const value = params.get(key);
+    if (!value) continue;
+    if (!/^\d+$/.test(value)) return { error: `${key} must be a non-negative integer` };
+    filters[key] = parseInt(value, 10);
+  }
+  if (filters.minWords !== undefined && filters.maxWords !== undefined && filters.minWords > filters.maxWords) {
+    return { error: 'minWords must not exceed maxWords' };
+  }
+
+  const updatedAfter = params.get('updatedAfter');
+  if (updatedAfter) {
+    const date = new Date(updatedAfter);
+    if (isNaN(date.getTime())) return { error: 'updatedAfter must be an ISO 8601 date' };
+    filters.updatedAfter = date.toISOString();
+  }
+
+  return { filters };
+}
+
+export function matchesFeedFilters(doc, filters) {
+  const contains = (value, needle) => (value || '').toLowerCase().includes(needle.toLowerCase());
+
+  if (filters.category && doc.category !== filters.category) return false;
+  if (filters.tag && !Object.keys(doc.tags || {}).some(t => t.toLowerCase() === filters.tag.toLowerCase())) return false;
+  if (filters.site && !contains(doc.site_name, filters.site) && !contains(extractSource(doc), filters.site)) return false;
+  if (filters.author && !contains(doc.author, filters.author)) return false;
+  if (filters.minWords !== undefined && (doc.word_count || 0) < filters.minWords) return false;
+  if (filters.maxWords !== undefined && (doc.word_count || 0) > filters.maxWords) return false;
+  if (filters.updatedAfter && new Date(doc.updated_at || 0) <= new Date(filters.updatedAfter)) return false;
+  return true;
+}
+
+// Locations a document can be in (or be restored to) other than the archive
+const READWISE_LOCATIONS = ['new', 'later', 'shortlist', 'feed'];
+
+// Determine which Readwise locations to fetch based on our app's view filter
+function readwiseLocationsFor(locationFilter) {
+  if (locationFilter === 'feed') return ['feed'];
+  if (locationFilter === 'library') return ['new', 'later', 'shortlist'];
+  return READWISE_LOCATIONS; // 'all' or default
+}
+
+// Fetches one page per location. `pageCursors` maps each Readwise location to the
+// `pageCursor` to resume from; locations missing from it are already exhausted.
+// Locations share MAX_ARTICLES, so no page holds more than that.
+// Returns the articles plus the cursors for the next page (null when done).
+async function fetchReadwisePage(env, locationFilter, filters = {}, pageCursors = null) {
+  const articlesMap = new Map();
+  const nextPageCursors = {};
+  const targetLocations = pageCursors ? Object.keys(pageCursors) : readwiseLocationsFor(locationFilter);
+  const pageSize = Math.min(READWISE_PAGE_SIZE, Math.floor(MAX_ARTICLES / targetLocations.length));
+
   // Helper to fetch a single location with pagination
-  const fetchLocation = async (loc) => {
-    let nextCursor = null;
+  const fetchLocation = async (loc, startCursor) => {
+    let nextCursor = startCursor;
     let fetchedCount = 0;
-    const MAX_PER_LOC = 20; // Limit per location to prevent timeout
 
-    while (fetchedCount < MAX_PER_LOC) {
+    while (fetchedCount < pageSize) { // Limit per location to prevent timeout
       if (fetchedCount > 0 && !nextCursor) break;
 
-      const url = new URL('https://readwise.io/api/v3/list/');
-      url.searchParams.set('location', loc);
-      if (nextCursor) url.searchParams.set('pageCursor', nextCursor);
-
-      let response;
-      let retries = 3;
-      while (retries > 0) {
-        try {
-          response = await fetch(url.toString(), {
-            headers: {
-              'Authorization': `Token ${env.READWISE_TOKEN}`,
-              'Content-Type': 'application/json',
-            },
-          });
-
-          if (response.status === 429) {
-            const retryAfter = parseInt(response.headers.get('Retry-After') || '5', 10);
-            console.log(`[DEBUG] 429 Rate Limit on ${loc}. Waiting ${retryAfter}s...`);
-            await new Promise(r => setTimeout(r, retryAfter * 1000));
-            retries--;
-            continue;
-          }
-
-          if (!response.ok) throw new Error(`Readwise API error: ${response.status}`);
-          break; // Success
-        } catch (e) {
-          retries--;
-          if (retries === 0) {
-            console.error(`[ERROR] Failed to fetch ${loc}:`, e);
-            return; // Skip this location if it fails repeatedly
-          }
-          await new Promise(r => setTimeout(r, 1000));
-        }
+      let data;
+      try {
+        data = await listDocuments(env, {
+          location: loc,
+          limit: pageSize,
+          category: filters.category,
+          tag: filters.tag,
+          updatedAfter: filters.updatedAfter,
+          pageCursor: nextCursor,
+        });
+      } catch (error) {
+        // A bad token or an exhausted budget fails every location; report it
+        if (error instanceof ReadwiseAuthError || error instanceof ReadwiseRateLimitError) throw error;
+        console.error(`[ERROR] Failed to fetch ${loc}:`, error);
+        return; // Skip this location (and its later pages) if it fails repeatedly
       }
 
-      const data = await response.json();
-
       // Process results
-      (data.results || []).forEach(doc => {
+      data.results.forEach(doc => {
         // Basic validation
-        if (doc.category !== 'article' && doc.location !== 'feed') return; // Keep articles and feed items
+        // Without a category filter, keep articles and feed items
+        if (!filters.category && doc.category !== 'article' && doc.location !== 'feed') return;
         if (doc.location === 'archive') return;
+        if (!matchesFeedFilters(doc, filters)) return;
 
         // Use ID as key for deduplication
         if (!articlesMap.has(doc.id)) {
@@ -307,51 +868,93 @@ async function fetchAllReadwiseArticles(env, locationFilter) {
 
       nextCursor = data.nextPageCursor;
       if (!nextCursor) break;
-      fetchedCount += (data.results || []).length;
-
-      // Gentle pacing
-      await new Promise(r => setTimeout(r, 200));
+      fetchedCount += data.results.length;
     }
+
+    if (nextCursor) nextPageCursors[loc] = nextCursor;
   };
 
   // Run fetches in parallel
-  await Promise.all(targetLocations.map(loc => fetchLocation(loc)));
+  await Promise.all(targetLocations.map(loc => fetchLocation(loc, pageCursors?.[loc] || null)));
 
   // Convert map to array and sort
   // STRICT SORT: Recent first (by saved_at or published_date)
-  return Array.from(articlesMap.values()).sort((a, b) => {
+  const articles = Array.from(articlesMap.values()).sort((a, b) => {
     const dateA = new Date(a.saved_at || a.published_date || 0);
     const dateB = new Date(b.saved_at || b.published_date || 0);
     return dateB - dateA; // Descending
   });
+  return { articles, nextPageCursors: Object.keys(nextPageCursors).length > 0 ? nextPageCursors : null };
 }
 
-async function updateReadwiseDocument(id, updates, env) {
-  const response = await fetch(`https://readwise.io/api/v3/update/${id}/`, {
-    method: 'PATCH',
-    headers: {
-      'Authorization': `Token ${env.READWISE_TOKEN}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify(updates),
-  });
-  if (!response.ok) throw new Error(`Readwise update error: ${response.status}`);
-  return response.json();
+// Feed cursors are the per-location Readwise page cursors, as base64url JSON.
+export function encodeFeedCursor(pageCursors) {
+  if (!pageCursors) return null;
+  return btoa(JSON.stringify(pageCursors)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
 }
 
-async function deleteReadwiseDocument(id, env) {
-  const response = await fetch(`https://readwise.io/api/v3/delete/${id}/`, {
-    method: 'DELETE',
-    headers: { 'Authorization': `Token ${env.READWISE_TOKEN}` },
-  });
-  if (!response.ok && response.status !== 404) throw new Error(`Readwise delete error: ${response.status}`);
-  return true;
+export function decodeFeedCursor(cursor) {
+  try {
+    const pageCursors = JSON.parse(atob(cursor.replace(/-/g, '+').replace(/_/g, '/')));
+    const locations = readwiseLocationsFor('all');
+    const valid = pageCursors && typeof pageCursors === 'object' && !Array.isArray(pageCursors)
+      && Object.entries(pageCursors).every(([loc, pageCursor]) => locations.includes(loc) && typeof pageCursor === 'string');
+    return valid ? pageCursors : null;
+  } catch {
+    return null;
+  }
+}
+
+// Lists every document updated since the cursor, across all locations, so moves
+// and archives made in the Reader app show up as removals. Returns null when there
+// are more changes than SYNC_MAX_CHANGES; the caller does a full sync instead.
+async function fetchReadwiseChanges(env, locationFilter, cursor) {
+  const targetLocations = readwiseLocationsFor(locationFilter);
+  const knownIds = new Set(cursor.ids);
+  const changed = [];
+  let nextCursor = null;
+
+  do {
+    const data = await listDocuments(env, {
+      updatedAfter: new Date(cursor.synced_at).toISOString(),
+      pageCursor: nextCursor,
+    });
+    changed.push(...data.results);
+    nextCursor = data.nextPageCursor;
+    if (changed.length > SYNC_MAX_CHANGES) return null;
+  } while (nextCursor);
+
+  const articles = [];
+  const added = [];
+  const updated = [];
+  const removed = [];
+  for (const doc of changed) {
+    const inView = targetLocations.includes(doc.location) && (doc.category === 'article' || doc.location === 'feed');
+    if (inView) {
+      articles.push(doc);
+      (knownIds.has(doc.id) ? updated : added).push(doc.id);
+      knownIds.add(doc.id);
+    } else if (knownIds.has(doc.id)) {
+      removed.push(doc.id);
+      knownIds.delete(doc.id);
+    }
+  }
+
+  articles.sort((a, b) => new Date(b.saved_at || b.published_date || 0) - new Date(a.saved_at || a.published_date || 0));
+  return { articles, added, updated, removed, knownIds: [...knownIds] };
 }
 
 // ============ SUMMARY CACHING ============
 
-async function getCachedOrSummarize(article, env, useMock = false) {
-  const cacheKey = `summary:${article.id}`;
+// Keyed by backend and model so switching summarizers never serves another model's summary,
+// and by style so each summary style is cached separately.
+export function summaryCacheKey(articleId, { backend, model }, style = DEFAULT_SUMMARY_STYLE) {
+  return `summary:${backend}:${model}:${style}:${articleId}`;
+}
+
+async function getCachedOrSummarize(article, env, useMock = false, style = DEFAULT_SUMMARY_STYLE) {
+  const summarizer = getSummarizer(article.location, env);
+  const cacheKey = summaryCacheKey(article.id, summarizer, style);
 
   // Check cache first
   const cached = await env.KV.get(cacheKey);
@@ -361,8 +964,9 @@ async function getCachedOrSummarize(article, env, useMock = false) {
   }
 
   // Generate new summary
-  console.log(`Cache miss for article ${article.id}, generating...`);
-  const summary = await summarizeArticle(article, env, useMock);
+  if (!useMock && await isOverBudget(env, 'summaries')) throw new BudgetExceededError('summaries');
+  console.log(`Cache miss for article ${article.id}, generating with ${summarizer.backend}/${summarizer.model}...`);
+  const summary = await summarizeArticle(article, env, useMock, summarizer, style);
 
   // Cache the summary
   await env.KV.put(cacheKey, summary, { expirationTtl: SUMMARY_CACHE_TTL });
@@ -370,7 +974,7 @@ async function getCachedOrSummarize(article, env, useMock = false) {
   return summary;
 }
 
-async function summarizeArticle(article, env, useMock = false) {
+async function summarizeArticle(article, env, useMock = false, summarizer = getSummarizer(article.location, env), style = DEFAULT_SUMMARY_STYLE) {
   if (useMock) {
     console.log('[Mock] Generating summary for', article.title);
     const mockReq = new Request('https://api.anthropic.com/v1/messages', {
@@ -382,42 +986,674 @@ async function summarizeArticle(article, env, useMock = false) {
     return data.content[0].text;
   }
 
-  const content = article.content || article.summary || article.notes || '';
+  const content = htmlToSpeechText(article.content || article.summary || article.notes || '');
   const title = article.title || 'Untitled';
   const source = extractSource(article);
 
+  // Long articles: summarize each section (map), then summarize the section summaries (reduce)
+  const sections = splitIntoSections(content);
+  let body = `Content:\n${content}`;
+  if (sections.length > 1) {
+    const chapters = await getCachedOrSummarizeSections(article, sections, summarizer, env);
+    body = 'Section summaries, in order:\n\n' +
+      chapters.map(c => `Section ${c.index + 1} of ${chapters.length}:\n${c.summary}`).join('\n\n');
+  }
+
   const userPrompt = `Article from ${source}:
 Title: ${title}
 
-Content:
-${content.slice(0, 8000)}`;
+${body}`;
 
-  const response = await fetch('https://api.anthropic.com/v1/messages', {
-    method: 'POST',
-    headers: {
-      'x-api-key': env.CLAUDE_API_KEY,
-      'anthropic-version': '2023-06-01',
-      'content-type': 'application/json',
-    },
-    body: JSON.stringify({
-      model: CLAUDE_MODEL,
-      max_tokens: 300,
-      system: SYSTEM_PROMPT,
-      messages: [{ role: 'user', content: userPrompt }],
-    }),
+  const { prompt, maxTokens } = SUMMARY_STYLES[style];
+  const { text } = await completeAndRecord(summarizer, env, { system: prompt, prompt: userPrompt, maxTokens });
+  return text;
+}
+
+// Every summarizer call goes through here so its token usage is metered
+async function completeAndRecord(summarizer, env, request) {
+  const result = await summarizer.complete(request);
+  await recordUsage(env, {
+    kind: 'summaries',
+    model: summarizer.model,
+    input_tokens: result.usage?.input_tokens || 0,
+    output_tokens: result.usage?.output_tokens || 0,
   });
+  return result;
+}
+
+// Sections grow past SUMMARY_SECTION_CHARS when needed so no article costs more than
+// SUMMARY_MAX_SECTIONS map calls, and none is cut short. Sentence boundaries can spill
+// the split into an extra section; that tail is merged into the last one.
+export function splitIntoSections(content) {
+  const sectionChars = Math.max(SUMMARY_SECTION_CHARS, Math.ceil(content.length / SUMMARY_MAX_SECTIONS));
+  if (content.length <= sectionChars) return [content];
+
+  const sections = splitAtSentences(content, sectionChars);
+  if (sections.length <= SUMMARY_MAX_SECTIONS) return sections;
+  return [...sections.slice(0, SUMMARY_MAX_SECTIONS - 1), sections.slice(SUMMARY_MAX_SECTIONS - 1).join(' ')];
+}
+
+// Section summaries are style-independent, so every style reuses them. They are
+// stored under `chapters:` for chapter navigation.
+async function getCachedOrSummarizeSections(article, sections, summarizer, env) {
+  const cacheKey = `chapters:${summarizer.backend}:${summarizer.model}:${article.id}`;
+  const cached = await env.KV.get(cacheKey);
+  if (cached) return JSON.parse(cached);
+
+  const chapters = [];
+  for (const [index, section] of sections.entries()) {
+    const { text } = await completeAndRecord(summarizer, env, {
+      system: SECTION_SUMMARY_PROMPT,
+      prompt: `Title: ${article.title || 'Untitled'}\nSection ${index + 1} of ${sections.length}:\n\n${section}`,
+      maxTokens: 300,
+    });
+    chapters.push({ index, summary: text });
+  }
+
+  await env.KV.put(cacheKey, JSON.stringify(chapters), { expirationTtl: SUMMARY_CACHE_TTL });
+  return chapters;
+}
+
+// ============ SUMMARIZERS ============
+
+// A summarizer wraps one SUMMARIZER_BACKENDS entry with a model and exposes
+// `complete({ system, prompt, maxTokens })` → `{ text, usage: { input_tokens, output_tokens } }`.
+function createAnthropicSummarizer(backend, config, model, env) {
+  const baseUrl = config.baseUrl || env[config.baseUrlEnv];
+  return {
+    backend,
+    model,
+    async complete({ system, prompt, maxTokens }) {
+      const response = await fetch(`${baseUrl.replace(/\/$/, '')}/messages`, {
+        method: 'POST',
+        headers: {
+          'x-api-key': env[config.apiKeyEnv],
+          'anthropic-version': '2023-06-01',
+          'content-type': 'application/json',
+        },
+        body: JSON.stringify({
+          model,
+          max_tokens: maxTokens,
+          system,
+          messages: [{ role: 'user', content: prompt }],
+        }),
+      });
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw new Error(`Claude API error: ${response.status} - ${error}`);
+      }
+
+      const data = await response.json();
+      return { text: data.content[0].text, usage: data.usage };
+    },
+  };
+}
+
+function createOpenAICompatibleSummarizer(backend, config, model, env) {
+  const baseUrl = config.baseUrl || env[config.baseUrlEnv];
+  const apiKey = env[config.apiKeyEnv];
+  return {
+    backend,
+    model,
+    async complete({ system, prompt, maxTokens }) {
+      if (!baseUrl) throw new Error(`Summarizer ${backend} has no base URL (set ${config.baseUrlEnv})`);
+
+      const response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          ...(apiKey && { 'Authorization': `Bearer ${apiKey}` }),
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          model,
+          max_tokens: maxTokens,
+          messages: [
+            { role: 'system', content: system },
+            { role: 'user', content: prompt },
+          ],
+        }),
+      });
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw new Error(`${backend} chat API error: ${response.status} - ${error}`);
+      }
+
+      const data = await response.json();
+      return {
+        text: data.choices[0].message.content.trim(),
+        usage: { input_tokens: data.usage?.prompt_tokens || 0, output_tokens: data.usage?.completion_tokens || 0 },
+      };
+    },
+  };
+}
+
+const SUMMARIZER_TYPES = {
+  'anthropic': createAnthropicSummarizer,
+  'openai-compatible': createOpenAICompatibleSummarizer,
+};
+
+export function createSummarizer(backend, model, env) {
+  const config = SUMMARIZER_BACKENDS[backend];
+  if (!config) throw new Error(`Unknown summarizer backend: ${backend}`);
+  return SUMMARIZER_TYPES[config.type](backend, config, model, env);
+}
+
+export function getSummarizer(location, env) {
+  const { backend, model } = Object.hasOwn(SUMMARIZER_BY_LOCATION, location || '')
+    ? SUMMARIZER_BY_LOCATION[location]
+    : SUMMARIZER_BY_LOCATION.default;
+  return createSummarizer(backend, model, env);
+}
+
+// ============ TTS PROVIDERS ============
+
+// A provider wraps one entry of TTS_PROVIDERS: its voices and defaults, whether the
+// deployment has the secrets it needs, and `synthesize(text, settings)` → fetch Response.
+function createOpenAITTSProvider(name, config, env, baseUrl = config.baseUrl) {
+  const apiKey = env[config.apiKeyEnv];
+  return {
+    name,
+    label: config.label,
+    model: config.model,
+    voices: config.voices,
+    defaultVoice: config.defaultVoice,
+    supportsInstructions: config.supportsInstructions,
+    isConfigured: Boolean(baseUrl && (apiKey || config.type !== 'openai')),
+    synthesize(text, { voice, speed, instructions, format }) {
+      return fetch(`${baseUrl.replace(/\/$/, '')}/audio/speech`, {
+        method: 'POST',
+        headers: {
+          ...(apiKey && { 'Authorization': `Bearer ${apiKey}` }),
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          model: config.model,
+          input: text,
+          voice: voice,
+          speed: speed,
+          response_format: format,
+          ...(instructions && { instructions }),
+        }),
+      });
+    },
+  };
+}
+
+// Self-hosted servers (Kokoro, Piper, ...) speak the same protocol at a deployment-specific URL.
+function createOpenAICompatibleTTSProvider(name, config, env) {
+  return createOpenAITTSProvider(name, config, env, env[config.baseUrlEnv]);
+}
+
+const TTS_PROVIDER_TYPES = {
+  'openai': createOpenAITTSProvider,
+  'openai-compatible': createOpenAICompatibleTTSProvider,
+};
+
+export function getTTSProvider(name, env) {
+  const config = Object.hasOwn(TTS_PROVIDERS, name) ? TTS_PROVIDERS[name] : null;
+  if (!config) return null;
+  return TTS_PROVIDER_TYPES[config.type](name, config, env);
+}
+
+// ============ TTS SYNTHESIS ============
+
+function ttsHash(text, { provider, voice, speed, instructions, format }) {
+  return sha256Hex(JSON.stringify([text, provider.name, voice, provider.model, speed, instructions, format]));
+}
+
+// Returns `{ body, cacheHit }` for one segment, or null if the provider failed
+// (or, with `cachedOnly`, if the segment isn't cached).
+async function synthesizeSegment(env, ctx, text, settings, articleId, cachedOnly = false) {
+  const hash = await ttsHash(text, settings);
+  const cached = await env.KV.get(`tts:${hash}`, 'arrayBuffer');
+  if (cached) return { body: cached, cacheHit: true };
+  if (cachedOnly) return null;
+
+  const response = await settings.provider.synthesize(text, settings);
 
   if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Claude API error: ${response.status} - ${error}`);
+    console.error(`${settings.provider.label} TTS error:`, await response.text());
+    return null;
+  }
+
+  // Stream to the client while a copy is written to the cache
+  const [clientStream, cacheStream] = response.body.tee();
+  const store = Promise.all([
+    cacheTTSAudio(env, hash, articleId, cacheStream),
+    recordUsage(env, { kind: 'tts', model: settings.provider.model, characters: text.length }),
+  ]);
+  if (ctx?.waitUntil) ctx.waitUntil(store);
+  else await store;
+
+  return { body: clientStream, cacheHit: false };
+}
+
+async function pipeSegments(env, ctx, first, rest, settings, articleId, writable) {
+  const writer = writable.getWriter();
+  const write = async (body) => {
+    if (body instanceof ArrayBuffer) {
+      await writer.write(new Uint8Array(body));
+      return;
+    }
+    const reader = body.getReader();
+    for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+      await writer.write(chunk.value);
+    }
+  };
+
+  try {
+    await write(first.body);
+    for (const text of rest) {
+      const segment = await synthesizeSegment(env, ctx, text, settings, articleId);
+      if (!segment) throw new Error('TTS provider failed mid-stream');
+      await write(segment.body);
+    }
+    await writer.close();
+  } catch (error) {
+    console.error('Segmented TTS error:', error);
+    await writer.abort(error);
+  }
+}
+
+// ============ TTS CACHE ============
+
+// Audio lives under `tts:{hash}`; `tts-index:{articleId}` lists an article's hashes so it can be purged.
+async function cacheTTSAudio(env, hash, articleId, stream) {
+  try {
+    const audio = await new Response(stream).arrayBuffer();
+    await env.KV.put(`tts:${hash}`, audio, { expirationTtl: TTS_CACHE_TTL });
+
+    if (articleId) {
+      const indexKey = `tts-index:${articleId}`;
+      const hashes = JSON.parse(await env.KV.get(indexKey) || '[]');
+      if (!hashes.includes(hash)) hashes.push(hash);
+      await env.KV.put(indexKey, JSON.stringify(hashes), { expirationTtl: TTS_CACHE_TTL });
+    }
+  } catch (error) {
+    console.error('Failed to cache TTS audio:', error);
+  }
+}
+
+// ============ ARTICLE ACTIONS ============
+
+// Shared by the single-article endpoints and /api/batch
+
+// Undo needs the location an action moved a document from. Clients send the
+// location they know; otherwise it's looked up.
+async function previousLocationOf(env, id, location) {
+  if (READWISE_LOCATIONS.includes(location)) return location;
+  return (await getDocument(env, id))?.location || 'new';
+}
+
+async function archiveArticle(env, id, location) {
+  const previousLocation = await previousLocationOf(env, id, location);
+  await updateDocument(env, id, { location: 'archive' });
+  await env.KV.put(`heard:${id}`, Date.now().toString(), { expirationTtl: 60 * 60 * 24 * 30 });
+  await logAction(env, { type: 'archive', id, previous_location: previousLocation });
+}
+
+// The Readwise delete runs from the cron once the undo window has passed
+async function deleteArticle(env, id) {
+  await env.KV.put(`pending-delete:${id}`, JSON.stringify({ id, at: Date.now() }), { expirationTtl: PENDING_DELETE_TTL });
+  await env.KV.put(`heard:${id}`, Date.now().toString(), { expirationTtl: 60 * 60 * 24 * 30 });
+  await logAction(env, { type: 'delete', id });
+}
+
+// Moves the document to Reader's Later, and keeps it in this app's feed until it's played again
+async function saveForLater(env, id, location) {
+  const previousLocation = await previousLocationOf(env, id, location);
+  const wasHeard = Boolean(await env.KV.get(`heard:${id}`));
+  await updateDocument(env, id, { location: 'later' });
+  await env.KV.put(`later:${id}`, Date.now().toString(), { expirationTtl: 60 * 60 * 24 * 7 });
+  await env.KV.delete(`heard:${id}`);
+  await logAction(env, { type: 'later', id, previous_location: previousLocation, was_heard: wasHeard });
+}
+
+async function shortlistArticle(env, id, location) {
+  const previousLocation = await previousLocationOf(env, id, location);
+  await updateDocument(env, id, { location: 'shortlist' });
+  await logAction(env, { type: 'shortlist', id, previous_location: previousLocation });
+}
+
+async function setReadingProgress(env, id, progress) {
+  await updateDocument(env, id, { reading_progress: Math.round(progress * 1000) / 1000 });
+}
+
+// Readwise replaces the whole tag list on update, so read the current tags first
+async function updateTags(env, id, change) {
+  const doc = await getDocument(env, id);
+  if (!doc) throw new ReadwiseNotFoundError(id);
+  const tags = [...new Set(change(Object.keys(doc.tags || {})))];
+  await updateDocument(env, id, { tags });
+  return tags;
+}
+
+// Dictated notes are appended to the document note rather than replacing it
+async function addNote(env, id, note) {
+  const doc = await getDocument(env, id);
+  if (!doc) throw new ReadwiseNotFoundError(id);
+  const notes = doc.notes ? `${doc.notes}\n\n${note}` : note;
+  await updateDocument(env, id, { notes });
+}
+
+const BATCH_ACTIONS = {
+  archive: (env, op) => archiveArticle(env, op.id, op.location),
+  delete: (env, op) => deleteArticle(env, op.id),
+  later: (env, op) => saveForLater(env, op.id, op.location),
+  shortlist: (env, op) => shortlistArticle(env, op.id, op.location),
+  add_tag: (env, op) => updateTags(env, op.id, tags => [...tags, op.tag]),
+  remove_tag: (env, op) => updateTags(env, op.id, tags => tags.filter(tag => tag !== op.tag)),
+  set_progress: (env, op) => setReadingProgress(env, op.id, op.progress),
+};
+
+const BATCH_OPERATION = {
+  id: documentId(),
+  action: oneOf(Object.keys(BATCH_ACTIONS)),
+  location: oneOf(READER_LOCATIONS, { optional: true }),
+  tag: (tag, { action }) => (action === 'add_tag' || action === 'remove_tag' ? text()(tag) : null),
+  progress: (progress, { action }) => (action === 'set_progress' ? number({ min: 0, max: 1 })(progress) : null),
+};
+
+// Validates a /api/batch body: `{ operations: [{ id, action, ... }] }`. Returns the
+// operations with tags trimmed; throws ValidationError naming each bad field.
+export function parseBatchOperations(body) {
+  const fields = fieldErrors(body, { operations: list({ min: 1, max: BATCH_MAX_OPERATIONS }) });
+  if (Object.keys(fields).length === 0) {
+    body.operations.forEach((op, i) => Object.assign(fields, fieldErrors(op, BATCH_OPERATION, `operations[${i}]`)));
+  }
+  if (Object.keys(fields).length > 0) throw new ValidationError(fields);
+
+  return body.operations.map(op => (op.tag ? { ...op, tag: op.tag.trim() } : op));
+}
+
+// ============ ACTION LOG ============
+
+// The last archive/delete/later/shortlist per article, kept for the undo window
+async function logAction(env, action) {
+  await env.KV.put(`action:${action.id}`, JSON.stringify({ ...action, at: Date.now() }), { expirationTtl: UNDO_WINDOW });
+}
+
+async function undoAction(env, action) {
+  const { type, id } = action;
+  if (type === 'archive') {
+    await updateDocument(env, id, { location: action.previous_location });
+    await env.KV.delete(`heard:${id}`);
+  } else if (type === 'delete') {
+    await env.KV.delete(`pending-delete:${id}`);
+    await env.KV.delete(`heard:${id}`);
+  } else if (type === 'shortlist') {
+    await updateDocument(env, id, { location: action.previous_location });
+  } else if (type === 'later') {
+    if (action.previous_location && action.previous_location !== 'later') {
+      await updateDocument(env, id, { location: action.previous_location });
+    }
+    await env.KV.delete(`later:${id}`);
+    if (action.was_heard) await env.KV.put(`heard:${id}`, Date.now().toString(), { expirationTtl: 60 * 60 * 24 * 30 });
+  }
+}
+
+// Runs held deletes whose undo window has passed
+export async function processPendingDeletes(env) {
+  const list = await env.KV.list({ prefix: 'pending-delete:' });
+  let deleted = 0;
+
+  for (const { name } of list.keys) {
+    const raw = await env.KV.get(name);
+    if (!raw) continue;
+    const { id, at } = JSON.parse(raw);
+    if (Date.now() - at < UNDO_WINDOW * 1000) continue;
+
+    try {
+      await deleteDocument(env, id);
+      await env.KV.delete(name);
+      deleted++;
+    } catch (error) {
+      console.error(`Pending delete failed for ${id}:`, error);
+    }
+  }
+
+  return { deleted };
+}
+
+// ============ SUMMARY QUEUE ============
+
+// Uncached articles wait under `queue:{style}:{id}` until the cron (or a polling client) summarizes them.
+async function enqueueSummary(article, env, useMock = false, style = DEFAULT_SUMMARY_STYLE) {
+  const entry = {
+    article: {
+      id: article.id,
+      title: article.title,
+      site_name: article.site_name,
+      source_url: article.source_url,
+      content: article.content,
+      summary: article.summary,
+      notes: article.notes,
+      location: article.location,
+    },
+    style: style,
+    mock: useMock,
+    attempts: 0,
+    queued_at: Date.now(),
+  };
+  await env.KV.put(`queue:${style}:${article.id}`, JSON.stringify(entry), { expirationTtl: SUMMARY_QUEUE_TTL });
+}
+
+// Returns "{style}:{id}" entries
+export async function getQueuedIds(env) {
+  const list = await env.KV.list({ prefix: 'queue:' });
+  return new Set(list.keys.map(k => k.name.replace('queue:', '')));
+}
+
+export async function processSummaryQueue(env, limit = SUMMARY_QUEUE_BATCH) {
+  const list = await env.KV.list({ prefix: 'queue:' });
+  const keys = list.keys.slice(0, limit);
+  let processed = 0;
+  let failed = 0;
+
+  for (const { name } of keys) {
+    const raw = await env.KV.get(name);
+    if (!raw) continue; // Picked up by a concurrent run
+
+    const entry = JSON.parse(raw);
+    try {
+      await getCachedOrSummarize(entry.article, env, entry.mock, entry.style);
+      await env.KV.delete(name);
+      processed++;
+    } catch (error) {
+      // Over budget: leave the queue as it is; entries expire or run once the budget allows
+      if (error instanceof BudgetExceededError) break;
+      failed++;
+      entry.attempts++;
+      console.error(`Queued summary failed for ${entry.article.id} (attempt ${entry.attempts}):`, error);
+      if (entry.attempts >= SUMMARY_QUEUE_MAX_ATTEMPTS) {
+        await env.KV.delete(name);
+      } else {
+        await env.KV.put(name, JSON.stringify(entry), { expirationTtl: SUMMARY_QUEUE_TTL });
+      }
+    }
   }
 
-  const data = await response.json();
-  return data.content[0].text;
+  return { processed, failed, remaining: list.keys.length - processed };
+}
+
+// ============ PRE-SYNC ============
+
+// Warms the summary cache and records a snapshot per location so the first
+// /api/feed call of the day needs neither Readwise nor Claude.
+export async function runPresync(env, locations = PRESYNC_LOCATIONS) {
+  const heardIds = await getHeardIds(env);
+  let summarized = 0;
+
+  // Sequential on purpose: parallel locations would burn through Readwise's rate limit
+  let overBudget = false;
+  for (const location of locations) {
+    const { articles, nextPageCursors } = await fetchReadwisePage(env, location);
+
+    for (const article of articles.slice(0, MAX_ARTICLES)) {
+      if (overBudget || summarized >= PRESYNC_MAX_SUMMARIES) break;
+      if (heardIds.has(article.id)) continue;
+      if (await env.KV.get(summaryCacheKey(article.id, getSummarizer(article.location, env)))) continue;
+      // Each summary adds to the month's spend, so the budget is checked before every one
+      overBudget = await isOverBudget(env, 'summaries');
+      if (overBudget) break;
+
+      try {
+        await getCachedOrSummarize(article, env);
+        await env.KV.delete(`queue:${DEFAULT_SUMMARY_STYLE}:${article.id}`);
+        summarized++;
+      } catch (error) {
+        console.error(`Pre-sync summary failed for ${article.id}:`, error);
+      }
+    }
+
+    await env.KV.put(`sync:${location}`, JSON.stringify({
+      synced_at: Date.now(),
+      articles,
+      next_page_cursors: nextPageCursors,
+    }), { expirationTtl: SYNC_SNAPSHOT_TTL });
+  }
+
+  console.log(`Pre-sync complete: ${summarized} summaries generated`);
+  return { summarized };
+}
+
+// One account after another, for the same reason runPresync walks its locations in
+// turn; a failing account doesn't stop the ones after it
+async function presyncAccounts(envs) {
+  for (const userEnv of envs) {
+    try {
+      await runPresync(userEnv);
+    } catch (error) {
+      console.error('Pre-sync failed:', error);
+    }
+  }
+}
+
+// Snapshots are served once; later syncs go back to Readwise for fresh state.
+async function takeSyncSnapshot(env, location) {
+  const raw = await env.KV.get(`sync:${location}`);
+  if (!raw) return null;
+  await env.KV.delete(`sync:${location}`);
+  return JSON.parse(raw);
+}
+
+// ============ SYNC CURSOR ============
+
+// Per-client, per-location record of the last sync time and the article IDs that client
+// was sent, so its next sync can ask Readwise for changes only and report what left the view.
+async function getSyncCursor(env, clientId, location) {
+  const raw = await env.KV.get(`sync-cursor:${clientId}:${location}`);
+  return raw ? JSON.parse(raw) : null;
+}
+
+async function saveSyncCursor(env, clientId, location, syncedAt, ids) {
+  await env.KV.put(`sync-cursor:${clientId}:${location}`, JSON.stringify({
+    synced_at: syncedAt,
+    ids: ids.slice(-SYNC_CURSOR_MAX_IDS),
+  }), { expirationTtl: SYNC_CURSOR_TTL });
 }
 
 // ============ HELPERS ============
 
+// Runs `fn` over `items` with at most `limit` in flight; results keep the input order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runNext = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runNext));
+  return results;
+}
+
+export async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Splits text at sentence boundaries into chunks of at most `maxChars`.
+// Sentences longer than a chunk are split at word boundaries, then hard-cut.
+export function splitAtSentences(text, maxChars) {
+  const sentences = text.match(/[^.!?]*[.!?]+["')\]]*\s*|[^.!?]+$/g) || [text];
+  const segments = [];
+  let current = '';
+
+  const pushPiece = (piece) => {
+    if ((current + piece).length <= maxChars) {
+      current += piece;
+      return;
+    }
+    if (current.trim()) segments.push(current.trim());
+    current = piece;
+  };
+
+  for (const sentence of sentences) {
+    if (sentence.length <= maxChars) {
+      pushPiece(sentence);
+      continue;
+    }
+    for (const word of sentence.split(/(?<=\s)/)) {
+      for (let i = 0; i < word.length; i += maxChars) {
+        pushPiece(word.slice(i, i + maxChars));
+      }
+    }
+  }
+  if (current.trim()) segments.push(current.trim());
+
+  return segments.length > 0 ? segments : [text];
+}
+
+function jsonResponse(data, corsHeaders, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+const ERROR_CODES = {
+  400: 'invalid_request', 401: 'unauthorized', 404: 'not_found', 405: 'method_not_allowed',
+  409: 'conflict', 429: 'rate_limited', 500: 'internal_error', 502: 'upstream_error',
+};
+
+const READWISE_ERROR_CODES = {
+  ReadwiseAuthError: 'readwise_auth_failed',
+  ReadwiseNotFoundError: 'document_not_found',
+  ReadwiseUpstreamError: 'upstream_error',
+};
+
+// Every API error is `{ error: { code, message, retryable, ...details } }`. `code` is
+// stable for clients to branch on; `retryable` says the same request may succeed later.
+function errorResponse(message, corsHeaders, status = 400, { code, ...details } = {}) {
+  const error = { code: code || ERROR_CODES[status] || 'error', message, retryable: status === 429 || status >= 500, ...details };
+  return jsonResponse({ error }, corsHeaders, status);
+}
+
+function formatFeedArticle(article, summary) {
+  return {
+    id: article.id,
+    title: article.title || 'Untitled',
+    source: extractSource(article),
+    author: article.author || null,
+    reading_progress: article.reading_progress || 0,
+    summary: summary || null,
+    summary_status: summary ? 'ready' : 'pending',
+    content: article.content || article.html || article.text || '',
+    url: article.url,
+    readwise_url: `https://read.readwise.io/read/${article.id}`,
+    original_url: article.source_url || article.url,
+    word_count: (article.content || '').split(/\s+/).length,
+    location: article.location,
+    image_url: article.image_url || article.cover_image_url || article.cover_image,
+    published_date: article.published_date,
+    saved_at: article.saved_at,
+  };
+}
+
 export function extractSource(article) {
   if (article.site_name) return article.site_name;
   if (article.source_url) {
@@ -458,6 +1694,42 @@ function serveManifest() {
   }), { headers: { 'Content-Type': 'application/json' } });
 }
 
+// Caches the app shell so the PWA opens without a connection. The API always goes to
+// the network; downloaded audio and queued actions are handled by the page.
+function serveServiceWorker() {
+  const script = `
+const SHELL_CACHE = 'shell-${SHELL_CACHE_VERSION}';
+const SHELL_URLS = ['/', '/manifest.json', '/favicon.ico'];
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_URLS)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(key => key.startsWith('shell-') && key !== SHELL_CACHE).map(key => caches.delete(key))))
+    .then(() => self.clients.claim()));
+});
+
+// Network first so deploys show up straight away; the cached shell when offline
+self.addEventListener('fetch', event => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+  event.respondWith(fetch(event.request)
+    .then(response => {
+      if (response.ok && SHELL_URLS.includes(url.pathname)) {
+        const copy = response.clone();
+        caches.open(SHELL_CACHE).then(cache => cache.put(url.pathname, copy));
+      }
+      return response;
+    })
+    .catch(() => caches.match(url.pathname).then(cached => cached || (event.request.mode === 'navigate' ? caches.match('/') : Response.error()))));
+});
+`;
+  return new Response(script, { headers: { 'Content-Type': 'application/javascript', 'Cache-Control': 'no-cache' } });
+}
+
 async function serveHTML(env) {
   return new Response(getHTMLContent(), { headers: { 'Content-Type': 'text/html' } });
 }
@@ -520,6 +1792,7 @@ function getHTMLContent() {
 
     /* Article List - Allow full page scrolling */
     .article-list { margin-bottom: 16px; }
+    .load-more { padding: 16px; text-align: center; color: #999; font-size: 13px; cursor: pointer; }
     .article-item {
       padding: 16px; background: #fff; border-radius: 12px;
       margin-bottom: 8px; cursor: pointer; transition: all 0.2s;
@@ -534,6 +1807,7 @@ function getHTMLContent() {
     .source { font-size: 12px; color: #e94560; font-weight: 500; margin-bottom: 4px; }
     .title { font-size: 14px; font-weight: 500; line-height: 1.4; color: #1a1a2e; }
     .meta { font-size: 11px; color: #888; margin-top: 6px; }
+    .headline { font-size: 13px; color: #444; line-height: 1.4; margin-top: 4px; }
 
     /* Filter Toggle (Sliding Switch) */
     .filter-bar {
@@ -548,6 +1822,42 @@ function getHTMLContent() {
     input:checked + .slider { background-color: #e94560; }
     input:checked + .slider:before { transform: translateX(20px); }
 
+    /* Multi-select */
+    .select-toggle {
+        display: block; margin: 0 0 12px auto; padding: 6px 12px; border-radius: 8px;
+        border: 1px solid #dee2e6; background: #fff; font-size: 13px; cursor: pointer;
+    }
+    .select-toggle.on { background: #e94560; color: #fff; border-color: #e94560; }
+    .article-item.selected { border-color: #e94560; background: #fff5f7; }
+    .batch-bar {
+        position: fixed; bottom: 0; left: 0; right: 0; background: #fff; z-index: 900;
+        padding: 12px 16px max(12px, env(safe-area-inset-bottom));
+        box-shadow: 0 -2px 10px rgba(0,0,0,0.1); display: flex; gap: 8px; align-items: center; flex-wrap: wrap;
+    }
+    .batch-bar .count { font-size: 13px; color: #666; margin-right: auto; }
+    .batch-bar button {
+        padding: 8px 10px; border-radius: 8px; border: none; background: #f1f3f5;
+        font-size: 13px; font-weight: 500; cursor: pointer;
+    }
+    .batch-bar button.danger { background: #e94560; color: #fff; }
+
+    /* Filter Panel */
+    .filter-panel {
+        background: #fff; border-radius: 12px; padding: 12px 16px; margin-bottom: 12px;
+        box-shadow: 0 1px 3px rgba(0,0,0,0.08); font-size: 14px;
+    }
+    .filter-panel summary { cursor: pointer; font-weight: 500; color: #333; }
+    .filter-grid { display: grid; grid-template-columns: 1fr 1fr; gap: 8px; margin-top: 12px; }
+    .filter-grid input, .filter-grid select, .filter-actions select {
+        padding: 8px; border-radius: 8px; border: 1px solid #dee2e6; font-size: 14px; background: #fff;
+    }
+    .filter-actions { display: flex; gap: 8px; margin-top: 10px; flex-wrap: wrap; }
+    .filter-actions button {
+        padding: 8px 12px; border-radius: 8px; border: none; background: #f1f3f5;
+        font-size: 13px; font-weight: 500; cursor: pointer;
+    }
+    .filter-actions button:first-child { background: #e94560; color: #fff; }
+
     /* Floating Help Button */
     .help-float {
         position: fixed; bottom: 20px; right: 20px;
@@ -608,6 +1918,13 @@ function getHTMLContent() {
     .action-btn.later { color: #ffc107; }
     .action-btn.open { color: #007bff; }
     .action-btn.readfull { color: #6f42c1; }
+    .action-btn.shortlist { color: #fd7e14; }
+    .action-btn.tag, .action-btn.note { color: #17a2b8; }
+    .quick-tags { display: flex; gap: 6px; flex-wrap: wrap; justify-content: center; margin: -8px 0 16px; }
+    .quick-tags button {
+      padding: 6px 12px; border-radius: 16px; border: 1px solid #17a2b8;
+      background: #fff; color: #17a2b8; font-size: 13px; cursor: pointer;
+    }
 
     /* Voice Selector */
     .voice-selector { display: flex; gap: 6px; margin-bottom: 16px; flex-wrap: wrap; justify-content: center; }
@@ -651,6 +1968,12 @@ function getHTMLContent() {
     .empty-state { text-align: center; padding: 60px 20px; color: #666; }
     .empty-state .icon { font-size: 48px; margin-bottom: 16px; }
 
+    /* Sign-in (multi-user mode) */
+    .sign-in { display: flex; flex-direction: column; gap: 10px; padding: 40px 20px; text-align: center; color: #666; }
+    .sign-in input { padding: 12px; border-radius: 12px; border: 1px solid #dee2e6; font-size: 16px; background: #fff; }
+    .sign-in a, .account a { color: #e94560; font-size: 13px; }
+    .account { font-size: 12px; color: #999; margin-top: 4px; }
+
     .loading { text-align: center; padding: 60px 20px; }
     .spinner {
       width: 40px; height: 40px; border: 3px solid #e9ecef;
@@ -661,7 +1984,17 @@ function getHTMLContent() {
 
     .hidden { display: none !important; }
 
-    .toast.show { opacity: 1; }
+    .toast {
+      position: fixed; bottom: 24px; left: 50%; transform: translateX(-50%);
+      background: #333; color: #fff; padding: 12px 20px; border-radius: 24px;
+      font-size: 14px; opacity: 0; transition: opacity 0.3s; z-index: 2000;
+      display: flex; align-items: center; gap: 12px; pointer-events: none;
+    }
+    .toast.show { opacity: 1; pointer-events: auto; }
+    .toast button {
+      background: none; border: none; color: #e94560; font-weight: 600;
+      font-size: 14px; cursor: pointer; padding: 0;
+    }
 
     /* Full Reader */
     #full-reader {
@@ -693,6 +2026,7 @@ function getHTMLContent() {
       padding: 8px 16px; background: #eee; border: none; border-radius: 20px;
       font-weight: 600; cursor: pointer;
     }
+    .reader-p.highlighted { border-left: 3px solid #ffc107; padding-left: 8px; }
   </style>
 </head>
 <body>
@@ -700,6 +2034,9 @@ function getHTMLContent() {
     <header>
       <h1>🎧 Readwise Audio</h1>
       <p class="status" id="status">Ready</p>
+      <p class="account hidden" id="account">
+        <span id="accountUser">Signed in as <b id="accountName"></b> · <a href="#" onclick="changeReadwiseToken(); return false">Readwise token</a> · </span><a href="#" onclick="signOut(); return false">Sign out</a>
+      </p>
     </header>
 
     <!-- Source Toggle - Always Visible -->
@@ -720,6 +2057,17 @@ function getHTMLContent() {
       <button class="sync-btn" onclick="syncFeed()">Sync Now</button>
     </div>
 
+    <div id="signIn" class="sign-in hidden">
+      <p id="signInTitle">Sign in to listen to your Reader queue</p>
+      <input id="signInUser" autocomplete="username" autocapitalize="none" placeholder="Username">
+      <input id="signInPassword" type="password" autocomplete="current-password" placeholder="Password">
+      <input id="signInToken" class="hidden" autocomplete="off" placeholder="Readwise access token (readwise.io/access_token)">
+      <input id="signInPassphrase" class="hidden" type="password" autocomplete="current-password" placeholder="Passphrase">
+      <input id="signInCode" class="hidden" inputmode="numeric" autocomplete="one-time-code" placeholder="Authenticator code">
+      <button class="sync-btn" id="signInBtn" onclick="submitSignIn()">Sign in</button>
+      <a href="#" id="signInSwitch" onclick="toggleRegister(); return false">New here? Create an account</a>
+    </div>
+
     <div id="player" class="hidden">
 
 
@@ -735,6 +2083,11 @@ function getHTMLContent() {
             <input type="checkbox" id="seenToggleCheckbox" onchange="toggleSeenFilter()">
             <span class="slider"></span>
         </label>
+        <span>Skim Headlines</span>
+        <label class="switch">
+            <input type="checkbox" id="skimToggleCheckbox" onchange="toggleSkimMode()">
+            <span class="slider"></span>
+        </label>
     </div>
 
       <!-- Player View -->
@@ -775,23 +2128,64 @@ function getHTMLContent() {
           <button class="action-btn open" onclick="openReader()">
             <span class="icon">📖</span>Reader
           </button>
+          <button class="action-btn shortlist" onclick="shortlistArticle()">
+            <span class="icon">⭐</span>Shortlist
+          </button>
+          <button class="action-btn tag" onclick="toggleQuickTags()">
+            <span class="icon">🏷️</span>Tag
+          </button>
+          <button class="action-btn note" onclick="noteArticle()">
+            <span class="icon">📝</span>Note
+          </button>
+        </div>
+        <div class="quick-tags hidden" id="quickTags">
+          ${QUICK_TAGS.map(tag => `<button onclick="tagArticle('${tag}')">${tag}</button>`).join('')}
         </div>
 
         <div class="voice-selector-container" style="margin-bottom: 16px;">
            <label style="display:block; font-size:12px; color:#666; margin-bottom:4px; text-align:center;">Voice</label>
            <select id="voiceSelect" onchange="stop(); setVoice(this.value)" style="width:100%; padding:12px; border-radius:12px; border:1px solid #dee2e6; background:#fff; font-size:16px;">
-             <option value="alloy">Alloy (Neutral)</option>
-             <option value="echo">Echo (Male)</option>
-             <option value="shimmer">Shimmer (Female)</option>
-             <option value="ash">Ash (Deep)</option>
-             <option value="ballad">Ballad (Warm)</option>
-             <option value="coral">Coral (Bright)</option>
-             <option value="sage">Sage (Calm)</option>
-             <option value="verse">Verse (Crisp)</option>
+             <option value="openai:alloy">Alloy (Neutral)</option>
+             <option value="openai:echo">Echo (Male)</option>
+             <option value="openai:shimmer">Shimmer (Female)</option>
+             <option value="openai:ash">Ash (Deep)</option>
+             <option value="openai:ballad">Ballad (Warm)</option>
+             <option value="openai:coral">Coral (Bright)</option>
+             <option value="openai:sage">Sage (Calm)</option>
+             <option value="openai:verse">Verse (Crisp)</option>
              <option value="browser">Browser Native (Free)</option>
            </select>
+           <div style="display:flex; gap:8px; margin-top:8px;">
+             <select id="speedSelect" onchange="setSpeed(this.value)" style="flex:1; padding:10px; border-radius:12px; border:1px solid #dee2e6; background:#fff; font-size:14px;">
+               <option value="1">1.0×</option>
+               <option value="1.15">1.15×</option>
+               <option value="1.25">1.25×</option>
+               <option value="1.5">1.5×</option>
+               <option value="1.75">1.75×</option>
+             </select>
+             <select id="deliverySelect" onchange="setDelivery(this.value)" style="flex:2; padding:10px; border-radius:12px; border:1px solid #dee2e6; background:#fff; font-size:14px;">
+               ${Object.entries(TTS_DELIVERY_STYLES).map(([key, style]) => `<option value="${key}">${style.label}</option>`).join('')}
+             </select>
+             <select id="formatSelect" onchange="setFormat(this.value)" style="flex:1; padding:10px; border-radius:12px; border:1px solid #dee2e6; background:#fff; font-size:14px;">
+               ${Object.keys(TTS_FORMATS).map(f => `<option value="${f}">${f.toUpperCase()}</option>`).join('')}
+             </select>
+           </div>
         </div>
 
+        <div class="voice-selector-container" style="margin-bottom: 16px;">
+           <label style="display:block; font-size:12px; color:#666; margin-bottom:4px; text-align:center;">Summary Style</label>
+           <select id="styleSelect" onchange="setStyle(this.value)" style="width:100%; padding:12px; border-radius:12px; border:1px solid #dee2e6; background:#fff; font-size:16px;">
+             ${Object.entries(SUMMARY_STYLES).map(([key, style]) => `<option value="${key}">${style.label}</option>`).join('')}
+           </select>
+        </div>
+
+        <label style="display:flex; align-items:center; justify-content:center; gap:8px; font-size:13px; color:#666; margin-bottom:16px;">
+          <input type="checkbox" id="markStartedCheckbox" onchange="setMarkSummariesStarted(this.checked)">
+          Mark articles as started in Reader after their summary
+        </label>
+
+        <button class="select-toggle" id="downloadBtn" onclick="downloadForOffline()" style="margin: 0 auto 16px;">⬇️ Download next ${OFFLINE_DOWNLOAD_COUNT} summaries for offline</button>
+
         <button class="voice-btn" id="voiceBtn" onmousedown="startListening()" onmouseup="stopListening()" ontouchstart="startListening()" ontouchend="stopListening()">
           <span>🎤</span> Hold to speak command
         </button>
@@ -799,7 +2193,32 @@ function getHTMLContent() {
 
       <!-- List View -->
       <div id="list-view" class="hidden">
+        <details class="filter-panel" id="filterPanel">
+          <summary>🔎 Filters <span id="filterSummary"></span></summary>
+          <div class="filter-grid">
+            <input id="filterTag" placeholder="Tag">
+            <select id="filterCategory">
+              <option value="">Any category</option>
+              ${READWISE_CATEGORIES.map(c => `<option value="${c}">${c}</option>`).join('')}
+            </select>
+            <input id="filterSite" placeholder="Site name">
+            <input id="filterAuthor" placeholder="Author">
+            <input id="filterMinWords" type="number" min="0" placeholder="Min words">
+            <input id="filterMaxWords" type="number" min="0" placeholder="Max words">
+            <label style="grid-column: span 2; font-size:12px; color:#666;">Updated after
+              <input id="filterUpdatedAfter" type="date" style="width:100%;">
+            </label>
+          </div>
+          <div class="filter-actions">
+            <button onclick="applyFilters()">Apply</button>
+            <button onclick="clearFilters()">Clear</button>
+            <button onclick="saveFilterPreset()">Save preset</button>
+            <select id="presetSelect" onchange="loadFilterPreset(this.value)"></select>
+          </div>
+        </details>
+        <button class="select-toggle" id="selectToggle" onclick="toggleSelectMode()">Select</button>
         <div class="article-list" id="articleList"></div>
+        <div class="load-more hidden" id="loadMore" onclick="loadMoreArticles()">Load more</div>
       </div>
 
       <!-- Help View -->
@@ -810,6 +2229,11 @@ function getHTMLContent() {
             <div class="cmd"><span>"archive"</span><span class="cmd-key">📥</span></div>
             <div class="cmd"><span>"delete"</span><span class="cmd-key">🗑️</span></div>
             <div class="cmd"><span>"later" / "save"</span><span class="cmd-key">🕐</span></div>
+            <div class="cmd"><span>"undo"</span><span class="cmd-key">↩️</span></div>
+            <div class="cmd"><span>"shortlist" / "star"</span><span class="cmd-key">⭐</span></div>
+            <div class="cmd"><span>"tag as research"</span><span class="cmd-key">🏷️</span></div>
+            <div class="cmd"><span>"note: …"</span><span class="cmd-key">📝</span></div>
+            <div class="cmd"><span>"highlight this" (+ "note: …")</span><span class="cmd-key">✨</span></div>
             <div class="cmd"><span>"open"</span><span class="cmd-key">🌐</span></div>
             <div class="cmd"><span>"skip" / "next"</span><span class="cmd-key">⏭️</span></div>
             <div class="cmd"><span>"previous"</span><span class="cmd-key">⏮️</span></div>
@@ -830,6 +2254,7 @@ function getHTMLContent() {
           <h3>🎙️ Voices</h3>
           <p><strong>Browser:</strong> Free, works offline</p>
           <p><strong>Nova/Alloy/etc:</strong> Natural OpenAI voices (requires API key)</p>
+          <p><strong>Local:</strong> Voices from a self-hosted server (requires LOCAL_TTS_BASE_URL)</p>
         </div>
       </div>
 
@@ -840,7 +2265,11 @@ function getHTMLContent() {
     <div id="full-reader" class="hidden">
       <div id="full-reader-header">
         <h2 style="font-size: 18px; font-weight: 600;">Reading Article</h2>
-      <button class="close-btn" onclick="closeFullReader()">Close</button>
+        <div style="display:flex; gap:8px;">
+          <button class="close-btn" onclick="highlightParagraph()" title="Save this paragraph as a Readwise highlight">✨ Highlight</button>
+          <button class="close-btn" ontouchstart="startListening()" ontouchend="stopListening()" onmousedown="startListening()" onmouseup="stopListening()" title="Hold to speak">🎤</button>
+          <button class="close-btn" onclick="closeFullReader()">Close</button>
+        </div>
       </div>
       <div id="full-reader-content"></div>
     </div>
@@ -848,6 +2277,15 @@ function getHTMLContent() {
     <button class="help-float" onclick="showTab('help-view')">❓</button>
   </div>
 
+  <div class="batch-bar hidden" id="batchBar">
+    <span class="count" id="batchCount">0 selected</span>
+    <button onclick="selectAllVisible()">All</button>
+    <button onclick="runBatch('archive')">📥 Archive</button>
+    <button onclick="runBatch('later')">🕐 Later</button>
+    <button onclick="runBatch('shortlist')">⭐ Shortlist</button>
+    <button onclick="runBatch('set_progress')">✓ Read</button>
+    <button class="danger" onclick="runBatch('delete')">🗑️</button>
+  </div>
   <div class="toast" id="toast"></div>
 
   <script>
@@ -866,7 +2304,19 @@ function getHTMLContent() {
     let showSeen = false; // Default: Hide seen items
     let speechSynth = window.speechSynthesis;
     let recognition = null;
-    let selectedVoice = localStorage.getItem('voice') || 'alloy';
+    // Voices are stored as "provider:voice"; bare names predate providers and are OpenAI voices
+    let selectedVoice = localStorage.getItem('voice') || 'openai:alloy';
+    if (selectedVoice !== 'browser' && !selectedVoice.includes(':')) selectedVoice = 'openai:' + selectedVoice;
+    let selectedSpeed = parseFloat(localStorage.getItem('speed') || '1.15');
+    let selectedDelivery = localStorage.getItem('delivery') || 'default';
+    let selectedFormat = localStorage.getItem('format') || 'mp3';
+    let selectedStyle = localStorage.getItem('style') || '${DEFAULT_SUMMARY_STYLE}';
+    let activeFilters = JSON.parse(localStorage.getItem('filters') || '{}');
+    let filterPresets = JSON.parse(localStorage.getItem('filterPresets') || '{}');
+    let feedCursor = localStorage.getItem('feedCursor') || null;
+    let markSummariesStarted = localStorage.getItem('markSummariesStarted') === 'true';
+    let loadingMore = false;
+    const DELIVERY_STYLES = ${JSON.stringify(TTS_DELIVERY_STYLES)};
     let selectedSource = localStorage.getItem('source') || 'all';
     let useMock = localStorage.getItem('useMock') === 'true';
 
@@ -880,6 +2330,18 @@ function getHTMLContent() {
         if (useMock) showToast('Mock Mode Enabled');
       }
 
+      checkAccount();
+
+      if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('/sw.js').catch(e => console.error('Service worker registration failed:', e));
+      }
+      window.addEventListener('online', () => {
+        updateStatus('Back online');
+        replayPendingActions();
+      });
+      window.addEventListener('offline', () => updateStatus('Offline'));
+      replayPendingActions();
+
       const cached = localStorage.getItem('articles');
       if (cached) {
         try { articles = JSON.parse(cached); } catch (e) { console.error(e); }
@@ -896,6 +2358,17 @@ function getHTMLContent() {
       // Set active buttons
       const voiceSelect = document.getElementById('voiceSelect');
       if (voiceSelect) voiceSelect.value = selectedVoice;
+      loadVoices();
+      document.getElementById('speedSelect').value = String(selectedSpeed);
+      document.getElementById('deliverySelect').value = selectedDelivery;
+      document.getElementById('formatSelect').value = selectedFormat;
+      document.getElementById('styleSelect').value = selectedStyle;
+      document.getElementById('skimToggleCheckbox').checked = selectedStyle === 'headline';
+      fillFilterForm(activeFilters);
+      renderFilterPresets();
+      setFeedCursor(feedCursor);
+      document.getElementById('markStartedCheckbox').checked = markSummariesStarted;
+      window.addEventListener('scroll', maybeLoadMore, { passive: true });
       
       document.querySelectorAll('.source-btn').forEach(btn => {
         btn.classList.toggle('active', btn.dataset.source === selectedSource);
@@ -914,6 +2387,138 @@ function getHTMLContent() {
       }
     });
 
+    // ============ API ============
+    const API_MAX_RETRY_WAIT = 10000;
+
+    // API errors arrive as { error: { code, message, retryable } }; this turns one into an Error
+    // that keeps the code, whether retrying may help, and how long to wait first.
+    function apiError(response, data) {
+      const body = (data && data.error) || {};
+      const error = new Error(body.message || 'HTTP ' + response.status);
+      error.code = body.code || 'http_' + response.status;
+      error.retryable = Boolean(body.retryable);
+      error.retryAfter = body.retry_after || Number(response.headers.get('Retry-After')) || 0;
+      error.login = body.login;
+      return error;
+    }
+
+    // Runs a request again once if it failed with a retryable error
+    async function withRetry(request) {
+      try {
+        return await request();
+      } catch (error) {
+        if (!error.retryable || error.retryAfter * 1000 > API_MAX_RETRY_WAIT) throw error;
+        await new Promise(resolve => setTimeout(resolve, error.retryAfter * 1000 || 1000));
+        return request();
+      }
+    }
+
+    async function apiGet(path) {
+      return withRetry(async () => {
+        const response = await fetch(path);
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw apiError(response, data);
+        return data;
+      });
+    }
+
+    // ============ ACCOUNT ============
+    let registering = false;
+    let loginOptions = { accounts: true, passphrase: false, totp: false };
+
+    // Locked deployments need a session before anything loads; open ones answer multi_user: false
+    async function checkAccount() {
+      try {
+        const data = await apiGet('/api/v1/auth/me');
+        if (data.multi_user || data.signed_in) {
+          document.getElementById('accountName').textContent = data.username || '';
+          document.getElementById('accountUser').classList.toggle('hidden', !data.multi_user);
+          document.getElementById('account').classList.remove('hidden');
+        }
+      } catch (e) {
+        if (e.code === 'auth_required') return showSignIn(e.login);
+        console.error('Account check failed:', e); // Offline: keep showing the cached list
+      }
+    }
+
+    function showSignIn(login) {
+      if (login) loginOptions = login;
+      stop();
+      ['loading', 'player', 'empty', 'account'].forEach(id => document.getElementById(id).classList.add('hidden'));
+      document.getElementById('signIn').classList.remove('hidden');
+      renderSignIn();
+      updateStatus('Signed out');
+    }
+
+    // Accounts sign in with username and password (plus Readwise token and team passphrase
+    // to sign up); a single-user deployment asks for its passphrase and/or authenticator code.
+    function renderSignIn() {
+      const { accounts, passphrase, totp } = loginOptions;
+      const show = (id, visible) => document.getElementById(id).classList.toggle('hidden', !visible);
+      show('signInUser', accounts);
+      show('signInPassword', accounts);
+      show('signInToken', accounts && registering);
+      show('signInPassphrase', accounts ? registering && passphrase : passphrase);
+      show('signInCode', !accounts && totp);
+      show('signInSwitch', accounts);
+      show('signInBtn', accounts || passphrase || totp);
+      document.getElementById('signInPassphrase').placeholder = accounts ? 'Team passphrase' : 'Passphrase';
+      document.getElementById('signInBtn').textContent = registering ? 'Create account' : 'Sign in';
+      document.getElementById('signInTitle').textContent = !accounts && !passphrase && !totp
+        ? 'This deployment only accepts API keys'
+        : registering ? 'Create an account with your Readwise access token' : 'Sign in to listen to your Reader queue';
+      document.getElementById('signInSwitch').textContent = registering ? 'Already have an account? Sign in' : 'New here? Create an account';
+      document.getElementById('signInPassword').autocomplete = registering ? 'new-password' : 'current-password';
+    }
+
+    function toggleRegister() {
+      registering = !registering;
+      renderSignIn();
+    }
+
+    async function submitSignIn() {
+      const value = id => document.getElementById(id).value;
+      const body = loginOptions.accounts
+        ? { username: value('signInUser'), password: value('signInPassword') }
+        : { passphrase: value('signInPassphrase'), code: value('signInCode') };
+      if (registering) {
+        body.readwise_token = value('signInToken');
+        body.passphrase = value('signInPassphrase');
+      }
+      try {
+        const response = await fetch('/api/v1/auth/' + (registering ? 'register' : 'login'), {
+          method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body),
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw apiError(response, data);
+        if (loginOptions.accounts) await clearAccountData();
+        location.reload();
+      } catch (e) { showToast((registering ? 'Sign-up' : 'Sign-in') + ' failed: ' + e.message); }
+    }
+
+    async function signOut() {
+      await fetch('/api/v1/auth/logout', { method: 'POST' }).catch(e => console.error('Sign-out error:', e));
+      await clearAccountData();
+      location.reload();
+    }
+
+    async function changeReadwiseToken() {
+      const token = prompt('New Readwise access token (readwise.io/access_token)');
+      if (!token) return;
+      try {
+        await postAction('/api/v1/auth/token', { readwise_token: token });
+        showToast('Readwise token updated');
+      } catch (e) { showToast('Update failed: ' + e.message); }
+    }
+
+    // The article cache, queued offline actions and downloaded audio belong to whoever
+    // was signed in on this device; replaying the actions would change the next account's library
+    async function clearAccountData() {
+      ['articles', 'played', 'syncKey', 'feedCursor', 'pendingActions'].forEach(key => localStorage.removeItem(key));
+      pendingActions = [];
+      if ('caches' in window) await caches.delete(OFFLINE_AUDIO_CACHE).catch(e => console.error('Offline audio cleanup failed:', e));
+    }
+
     // ============ SOURCE ============
     function setSource(source) {
       selectedSource = source;
@@ -933,28 +2538,44 @@ function getHTMLContent() {
         document.getElementById(id).classList.toggle('hidden', id !== tabId);
       });
       document.getElementById('filterBar').classList.toggle('hidden', tabId !== 'list-view');
+      if (tabId !== 'list-view' && selectMode) toggleSelectMode();
     }
 
     // ============ SYNC ============
     async function syncFeed() {
+      // Offline the saved list and downloaded audio are all there is; keep showing them
+      if (!navigator.onLine) {
+        showToast('Offline: showing saved articles');
+        updateStatus('Offline');
+        return;
+      }
+      await replayPendingActions();
       showLoading();
       updateStatus('Syncing...');
 
       try {
         const mockParam = useMock ? '&mock=true' : '';
-        const response = await fetch('/api/feed?location=' + selectedSource + mockParam);
-        const data = await response.json();
-        if (data.error) throw new Error(data.error);
-
-        // Update cache: only add new, update existing, don't delete what we might need offline
+        const filterParams = new URLSearchParams(activeFilters).toString();
+        // Ask for changes only when the cached list came from an unfiltered sync of the same view
+        const syncKey = selectedSource + ':' + selectedStyle;
+        const incremental = !filterParams && articles.length > 0 && localStorage.getItem('syncKey') === syncKey;
+        const data = await apiGet('/api/v1/feed?location=' + selectedSource + '&style=' + selectedStyle + '&client=' + syncClientId() + (filterParams ? '&' + filterParams : '') + (incremental ? '&incremental=true' : '') + mockParam);
+        localStorage.setItem('syncKey', filterParams ? '' : syncKey);
+        // Incremental syncs leave paging where it was; a full sync starts over at page two
+        if (!data.incremental) setFeedCursor(data.next_cursor);
+
+        // Update cache: only add new, update existing, don't delete what we might need offline.
+        // A filtered sync replaces the list so non-matching articles don't linger, and an
+        // incremental one drops articles archived or moved in the Reader app.
         const newArticles = data.articles || [];
-        const currentMap = new Map(articles.map(a => [a.id, a]));
-        
+        const currentMap = new Map(filterParams ? [] : articles.map(a => [a.id, a]));
+        if (data.changes) data.changes.removed.forEach(id => currentMap.delete(id));
+
         newArticles.forEach(a => {
            // Preserve existing summary if server returned generic one or we want to save token cost
            // Note: The server already checks cache, but let's be safe on client too
            const existing = currentMap.get(a.id);
-           if (existing && existing.summary && !a.summary) {
+           if (existing && existing.summary && !a.summary && existing.summary_style === a.summary_style) {
              a.summary = existing.summary;
            }
            currentMap.set(a.id, a);
@@ -974,6 +2595,7 @@ function getHTMLContent() {
         localStorage.setItem('articles', JSON.stringify(articles));
         currentIndex = 0;
         stop(); // Reset player
+        if (data.pending > 0) schedulePendingPoll();
 
         if (articles.length === 0) {
           showEmpty();
@@ -984,14 +2606,267 @@ function getHTMLContent() {
           renderList();
           updateStatus(articles.length + ' articles ready');
           window.articles = articles;
-          showToast(articles.length + ' articles loaded');
+          if (data.summary_budget_exceeded) {
+            showToast('Monthly summary budget reached: cached summaries only');
+          } else if (data.changes) {
+            showToast(data.changes.added.length + ' new, ' + data.changes.removed.length + ' removed');
+          } else {
+            showToast(articles.length + ' articles loaded');
+          }
         }
       } catch (error) {
+        if (error.code === 'auth_required') return showSignIn(error.login);
         console.error('Sync error:', error);
         showToast('Sync failed: ' + error.message);
         updateStatus('Sync failed');
-        showEmpty();
+        if (articles.length > 0) {
+          showPlayer();
+          updateDisplay();
+          renderList();
+        } else {
+          showEmpty();
+        }
+      }
+    }
+
+    // The server keeps a sync cursor per install so devices don't move each other's
+    function syncClientId() {
+      let id = localStorage.getItem('syncClientId');
+      if (!id) {
+        id = crypto.randomUUID();
+        localStorage.setItem('syncClientId', id);
       }
+      return id;
+    }
+
+    // ============ PAGING ============
+    function setFeedCursor(cursor) {
+      feedCursor = cursor || null;
+      if (feedCursor) localStorage.setItem('feedCursor', feedCursor);
+      else localStorage.removeItem('feedCursor');
+      document.getElementById('loadMore').classList.toggle('hidden', !feedCursor);
+    }
+
+    function maybeLoadMore() {
+      if (document.getElementById('list-view').classList.contains('hidden')) return;
+      if (window.innerHeight + window.scrollY >= document.body.offsetHeight - 400) loadMoreArticles();
+    }
+
+    async function loadMoreArticles() {
+      if (!feedCursor || loadingMore) return;
+      loadingMore = true;
+      try {
+        const mockParam = useMock ? '&mock=true' : '';
+        const filterParams = new URLSearchParams(activeFilters).toString();
+        const data = await apiGet('/api/v1/feed?location=' + selectedSource + '&style=' + selectedStyle + '&client=' + syncClientId() + (filterParams ? '&' + filterParams : '') + '&cursor=' + encodeURIComponent(feedCursor) + mockParam);
+
+        const knownIds = new Set(articles.map(a => a.id));
+        const more = (data.articles || []).filter(a => !knownIds.has(a.id));
+        articles = articles.concat(more);
+        window.articles = articles;
+        localStorage.setItem('articles', JSON.stringify(articles));
+        setFeedCursor(data.next_cursor);
+        renderList();
+        if (data.pending > 0) schedulePendingPoll();
+      } catch (error) {
+        console.error('Load more error:', error);
+        showToast('Could not load more: ' + error.message);
+      } finally {
+        loadingMore = false;
+      }
+    }
+
+    // ============ PENDING SUMMARIES ============
+    let pendingPollTimer = null;
+    let pendingPollCount = 0;
+    const PENDING_POLL_INTERVAL = 5000;
+    const PENDING_POLL_MAX = 60;
+
+    function schedulePendingPoll() {
+      clearTimeout(pendingPollTimer);
+      pendingPollCount = 0;
+      pendingPollTimer = setTimeout(pollPendingSummaries, PENDING_POLL_INTERVAL);
+    }
+
+    // Articles past the summary budget won't get one this month, so they aren't polled
+    function isSummaryPending(article) {
+      return !article.summary && article.summary_status !== 'over_budget';
+    }
+
+    // Asks for pending summaries ${MAX_ARTICLES} at a time, the most /api/summaries takes
+    async function pollPendingSummaries() {
+      const pendingArticles = articles.filter(isSummaryPending);
+      if (pendingArticles.length === 0 || pendingPollCount++ >= PENDING_POLL_MAX) return;
+
+      try {
+        const ready = {};
+        const stillPending = [];
+        let overBudget = false;
+        for (let i = 0; i < pendingArticles.length; i += ${MAX_ARTICLES}) {
+          const items = pendingArticles.slice(i, i + ${MAX_ARTICLES}).map(a => a.id + ':' + (a.location || ''));
+          const response = await fetch('/api/v1/summaries?style=' + selectedStyle + '&ids=' + encodeURIComponent(items.join(',')));
+          const data = await response.json();
+          Object.assign(ready, data.summaries || {});
+          stillPending.push(...(data.pending || []));
+          overBudget = overBudget || Boolean(data.summary_budget_exceeded);
+        }
+        let changed = 0;
+        articles.forEach(a => {
+          if (!a.summary && ready[a.id]) {
+            a.summary = ready[a.id];
+            a.summary_status = 'ready';
+            changed++;
+          } else if (overBudget && stillPending.includes(a.id)) {
+            a.summary_status = 'over_budget';
+            changed++;
+          }
+        });
+        if (changed > 0) {
+          localStorage.setItem('articles', JSON.stringify(articles));
+          renderList();
+        }
+        if (overBudget || stillPending.length === 0) {
+          updateStatus(articles.length + ' articles ready');
+          return;
+        }
+        updateStatus(stillPending.length + ' summaries in progress');
+      } catch (e) { console.error('Summary poll error:', e); }
+
+      pendingPollTimer = setTimeout(pollPendingSummaries, PENDING_POLL_INTERVAL);
+    }
+
+    // ============ MULTI-SELECT ============
+    let selectMode = false;
+    let selectedIds = new Set();
+
+    function toggleSelectMode() {
+      selectMode = !selectMode;
+      selectedIds.clear();
+      document.getElementById('selectToggle').classList.toggle('on', selectMode);
+      document.getElementById('selectToggle').textContent = selectMode ? 'Done' : 'Select';
+      updateBatchBar();
+      renderList();
+    }
+
+    function toggleSelected(id) {
+      if (selectedIds.has(id)) selectedIds.delete(id);
+      else selectedIds.add(id);
+      updateBatchBar();
+      renderList();
+    }
+
+    function selectAllVisible() {
+      const visible = articles.filter(a => showSeen || !playedIds.has(a.id));
+      const allSelected = visible.every(a => selectedIds.has(a.id));
+      visible.forEach(a => allSelected ? selectedIds.delete(a.id) : selectedIds.add(a.id));
+      updateBatchBar();
+      renderList();
+    }
+
+    function updateBatchBar() {
+      document.getElementById('batchBar').classList.toggle('hidden', !selectMode);
+      document.getElementById('batchCount').textContent = selectedIds.size + ' selected';
+    }
+
+    async function runBatch(action) {
+      if (selectedIds.size === 0) { showToast('Nothing selected'); return; }
+      if (action === 'delete' && !confirm('Delete ' + selectedIds.size + ' articles from Readwise?')) return;
+
+      const byId = new Map(articles.map(a => [a.id, a]));
+      const operations = [...selectedIds].map(id => {
+        const op = { id, action };
+        // Moves log where the article was for undo; sending it saves a Readwise lookup per article
+        if (['archive', 'later', 'shortlist'].includes(action)) op.location = byId.get(id)?.location;
+        if (action === 'set_progress') op.progress = 1;
+        return op;
+      });
+
+      showToast('Working on ' + operations.length + ' articles...');
+      try {
+        const data = await postAction('/api/v1/batch', { operations });
+        const results = data.queued ? operations.map(op => ({ id: op.id, ok: true })) : data.results;
+        const done = results.filter(r => r.ok).map(r => r.id);
+        if (action === 'archive' || action === 'delete') {
+          articles = articles.filter(a => !done.includes(a.id));
+          if (currentIndex >= articles.length) currentIndex = Math.max(0, articles.length - 1);
+        } else if (action === 'shortlist') {
+          articles.forEach(a => { if (done.includes(a.id)) a.location = 'shortlist'; });
+        } else {
+          done.forEach(id => markPlayed(id));
+        }
+        localStorage.setItem('articles', JSON.stringify(articles));
+        done.forEach(id => selectedIds.delete(id));
+        updateBatchBar();
+        if (articles.length === 0) showEmpty();
+        else updateDisplay();
+        renderList();
+
+        const failed = results.filter(r => !r.ok);
+        showToast(done.length + ' done' + (failed.length ? ', ' + failed.length + ' failed: ' + failed[0].error : ''));
+      } catch (e) { showToast('Batch failed: ' + e.message); }
+    }
+
+    // ============ FILTERS ============
+    const FILTER_FIELDS = {
+      tag: 'filterTag', category: 'filterCategory', site: 'filterSite', author: 'filterAuthor',
+      minWords: 'filterMinWords', maxWords: 'filterMaxWords', updatedAfter: 'filterUpdatedAfter',
+    };
+
+    function readFilterForm() {
+      const filters = {};
+      Object.entries(FILTER_FIELDS).forEach(([key, id]) => {
+        const value = document.getElementById(id).value.trim();
+        if (value) filters[key] = value;
+      });
+      return filters;
+    }
+
+    function fillFilterForm(filters) {
+      Object.entries(FILTER_FIELDS).forEach(([key, id]) => {
+        document.getElementById(id).value = filters[key] || '';
+      });
+      const count = Object.keys(filters).length;
+      document.getElementById('filterSummary').textContent = count ? '(' + count + ' active)' : '';
+    }
+
+    function applyFilters(filters = readFilterForm()) {
+      activeFilters = filters;
+      localStorage.setItem('filters', JSON.stringify(activeFilters));
+      fillFilterForm(activeFilters);
+      syncFeed();
+    }
+
+    function clearFilters() {
+      document.getElementById('presetSelect').value = '';
+      applyFilters({});
+    }
+
+    function saveFilterPreset() {
+      const filters = readFilterForm();
+      if (Object.keys(filters).length === 0) { showToast('Set some filters first'); return; }
+      const name = prompt('Preset name');
+      if (!name) return;
+      filterPresets[name] = filters;
+      localStorage.setItem('filterPresets', JSON.stringify(filterPresets));
+      renderFilterPresets();
+      document.getElementById('presetSelect').value = name;
+      showToast('Saved preset: ' + name);
+    }
+
+    function loadFilterPreset(name) {
+      if (!name || !filterPresets[name]) return;
+      applyFilters({ ...filterPresets[name] });
+    }
+
+    function renderFilterPresets() {
+      const select = document.getElementById('presetSelect');
+      select.innerHTML = '<option value="">Presets…</option>';
+      Object.keys(filterPresets).forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+      });
     }
 
     // ============ LIST ============
@@ -1000,6 +2875,12 @@ function getHTMLContent() {
         renderList();
     }
 
+    // Headline skim mode is the headline summary style shown inline in the list
+    function toggleSkimMode() {
+        const skim = document.getElementById('skimToggleCheckbox').checked;
+        setStyle(skim ? 'headline' : '${DEFAULT_SUMMARY_STYLE}');
+    }
+
     function renderList() {
       const list = document.getElementById('articleList');
       
@@ -1034,12 +2915,15 @@ function getHTMLContent() {
             }
         } catch (e) {}
 
-        let html = '<div class="article-item ' + (isActive ? 'active' : '') + ' ' + (isPlayed ? 'played' : '') + '" onclick="selectArticle(' + article.originalIndex + ')">';
+        const isSelected = selectMode && selectedIds.has(article.id);
+        const onclick = selectMode ? 'toggleSelected(&quot;' + article.id + '&quot;)' : 'selectArticle(' + article.originalIndex + ')';
+        let html = '<div class="article-item ' + (isActive && !selectMode ? 'active' : '') + ' ' + (isPlayed ? 'played' : '') + ' ' + (isSelected ? 'selected' : '') + '" onclick="' + onclick + '">';
         html += thumbHtml;
         html += '<div style="flex:1; min-width:0;">';
         html += '<div class="source">' + (article.source || article.site_name || 'Unknown') + '</div>';
         html += '<div class="title">' + article.title + '</div>';
-        html += '<div class="meta">' + (article.word_count || '?') + ' words • ' + dateStr + '</div>';
+        if (selectedStyle === 'headline' && article.summary) html += '<div class="headline">' + article.summary + '</div>';
+        html += '<div class="meta">' + (article.word_count || '?') + ' words • ' + dateStr + (article.summary ? '' : article.summary_status === 'over_budget' ? ' • no summary (budget reached)' : ' • summarizing…') + '</div>';
         html += '</div></div>';
         return html;
       }).join('');
@@ -1058,6 +2942,26 @@ function getHTMLContent() {
     }
 
     // ============ VOICE ============
+    async function loadVoices() {
+      try {
+        const response = await fetch('/api/v1/voices');
+        const data = await response.json();
+        const select = document.getElementById('voiceSelect');
+        select.innerHTML = data.providers.filter(p => p.configured).map(p =>
+          '<optgroup label="' + p.label + '">' +
+          p.voices.map(v => '<option value="' + p.id + ':' + v.id + '">' + v.label + '</option>').join('') +
+          '</optgroup>'
+        ).join('') + '<option value="browser">Browser Native (Free)</option>';
+
+        // Fall back to the default provider's voice if the saved one is gone
+        if (![...select.options].some(o => o.value === selectedVoice)) {
+          const fallback = data.providers.find(p => p.id === data.default_provider);
+          selectedVoice = fallback && fallback.configured ? fallback.id + ':' + fallback.default_voice : 'browser';
+        }
+        select.value = selectedVoice;
+      } catch (e) { console.error('Voice list error:', e); }
+    }
+
     function setVoice(voice) {
       stop(); // Stop before changing voice
       selectedVoice = voice;
@@ -1065,13 +2969,103 @@ function getHTMLContent() {
       showToast('Voice: ' + voice);
     }
 
+    // Summaries differ per style, so switching re-syncs; cached styles come back instantly
+    function setStyle(style) {
+      stop();
+      selectedStyle = style;
+      localStorage.setItem('style', style);
+      document.getElementById('styleSelect').value = style;
+      document.getElementById('skimToggleCheckbox').checked = style === 'headline';
+      articles.forEach(a => { if (a.summary_style !== style) { a.summary = null; a.summary_style = style; } });
+      showToast('Summary style: ' + style);
+      syncFeed();
+    }
+
+    function setSpeed(speed) {
+      stop();
+      selectedSpeed = parseFloat(speed);
+      localStorage.setItem('speed', speed);
+      showToast('Speed: ' + speed + '×');
+    }
+
+    function setDelivery(delivery) {
+      stop();
+      selectedDelivery = delivery;
+      localStorage.setItem('delivery', delivery);
+      showToast('Delivery: ' + DELIVERY_STYLES[delivery].label);
+    }
+
+    function setFormat(format) {
+      stop();
+      selectedFormat = format;
+      localStorage.setItem('format', format);
+      showToast('Format: ' + format);
+    }
+
     // ============ TTS ============
+    // Recently played audio, revalidated with the server via ETag
+    const ttsAudioCache = new Map();
+    const TTS_AUDIO_CACHE_SIZE = 20;
+
+    function ttsCacheKey(text) {
+      return [selectedVoice, selectedSpeed, selectedDelivery, selectedFormat, text].join('|');
+    }
+
+    // Audio for text in the current voice settings: the downloaded copy if there is one,
+    // otherwise from the server. Throws when the server asks for the browser voice instead.
+    async function fetchTTSAudio(text, articleId) {
+      const cacheKey = ttsCacheKey(text);
+      const downloaded = await findOfflineAudio(cacheKey);
+      if (downloaded) return downloaded;
+
+      const mockParam = useMock ? '?mock=true' : '';
+      const known = ttsAudioCache.get(cacheKey);
+      const headers = { 'Content-Type': 'application/json' };
+      if (known) headers['If-None-Match'] = known.etag;
+
+      const [provider, voice] = selectedVoice.split(':');
+      // Provider hiccups and rate limits are worth one more try before the browser voice
+      const response = await withRetry(async () => {
+        const response = await fetch('/api/v1/tts' + mockParam, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({
+            text,
+            provider,
+            voice,
+            speed: selectedSpeed,
+            instructions: DELIVERY_STYLES[selectedDelivery] ? DELIVERY_STYLES[selectedDelivery].instructions : '',
+            format: selectedFormat,
+            article_id: articleId,
+          }),
+        });
+        if (!response.ok && response.status !== 304) throw apiError(response, await response.json().catch(() => ({})));
+        return response;
+      });
+
+      // The server answers in JSON when the browser voice should read this instead
+      const contentType = response.headers.get('content-type');
+      if (contentType && contentType.includes('application/json')) {
+        const data = await response.json();
+        if (data.use_browser_tts) throw new Error(data.reason === 'budget_exceeded' ? 'TTS budget reached' : 'Server requested browser TTS');
+      }
+
+      if (response.status === 304 && known) return known.blob;
+      const blob = await response.blob();
+      const etag = response.headers.get('ETag');
+      if (etag) {
+        ttsAudioCache.set(cacheKey, { etag, blob });
+        if (ttsAudioCache.size > TTS_AUDIO_CACHE_SIZE) ttsAudioCache.delete(ttsAudioCache.keys().next().value);
+      }
+      return blob;
+    }
+
     async function speak(text, onEnd) {
       stop();
 
       if (selectedVoice === 'browser') {
         const utterance = new SpeechSynthesisUtterance(text);
-        utterance.rate = 1.15; // Browser fallback speed
+        utterance.rate = selectedSpeed; // Browser fallback speed
         utterance.onend = onEnd;
         utterance.onerror=() => { isPlaying = false; updatePlayButton(); };
         speechSynth.speak(utterance);
@@ -1083,23 +3077,8 @@ function getHTMLContent() {
       showToast('Generating audio...');
       
       try {
-        const mockParam = useMock ? '?mock=true' : '';
-        const response = await fetch('/api/tts' + mockParam, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ text, voice: selectedVoice, speed: 1.15 }),
-        });
-
-        // Check for JSON error response (e.g. invalid API key)
-        const contentType = response.headers.get('content-type');
-        if (contentType && contentType.includes('application/json')) {
-          const data = await response.json();
-          if (data.use_browser_tts) throw new Error('Server requested browser TTS');
-        }
-
-        if (!response.ok) throw new Error('TTS Network Error');
-
-        const blob = await response.blob();
+        const article = articles[currentIndex];
+        const blob = await fetchTTSAudio(text, article && article.id);
         const audioUrl = URL.createObjectURL(blob);
 
         currentAudio = new Audio(audioUrl);
@@ -1108,10 +3087,10 @@ function getHTMLContent() {
         currentAudio.play();
       } catch (error) {
         console.error('TTS error:', error);
-        showToast('Audio failed, using browser');
+        showToast(error.message === 'TTS budget reached' ? 'Monthly TTS budget reached, using browser voice' : 'Audio failed, using browser');
         const utterance = new SpeechSynthesisUtterance(text);
         utterance.onend = onEnd;
-        utterance.rate = 1.15;
+        utterance.rate = selectedSpeed;
         speechSynth.speak(utterance);
       } finally {
         isLoading = false;
@@ -1119,7 +3098,134 @@ function getHTMLContent() {
       }
     }
 
+    // ============ OFFLINE ============
+    // "Download for offline" keeps the next summaries' audio in Cache Storage, under a
+    // URL derived from the same settings key as ttsAudioCache, so speak() finds it
+    // without the network. Actions taken offline wait in localStorage until we're back.
+    const OFFLINE_AUDIO_CACHE = 'offline-audio';
+    let pendingActions = JSON.parse(localStorage.getItem('pendingActions') || '[]');
+
+    async function offlineAudioUrl(cacheKey) {
+      const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(cacheKey));
+      const hash = [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+      return new URL('/offline-audio/' + hash, location.origin).href;
+    }
+
+    async function findOfflineAudio(cacheKey) {
+      if (!('caches' in window)) return null;
+      try {
+        const cache = await caches.open(OFFLINE_AUDIO_CACHE);
+        const match = await cache.match(await offlineAudioUrl(cacheKey));
+        return match ? match.blob() : null;
+      } catch (e) {
+        console.error('Offline audio lookup failed:', e);
+        return null;
+      }
+    }
+
+    // Downloads audio for the next summaries and drops audio for ones no longer coming up
+    async function downloadForOffline() {
+      if (selectedVoice === 'browser') { showToast('The browser voice already works offline'); return; }
+      if (!('caches' in window)) { showToast('Offline downloads need an https connection'); return; }
+      if (!navigator.onLine) { showToast('Connect to download audio'); return; }
+      const upcoming = articles.slice(currentIndex).filter(a => a.summary).slice(0, ${OFFLINE_DOWNLOAD_COUNT});
+      if (upcoming.length === 0) { showToast('No summaries ready to download yet'); return; }
+
+      const button = document.getElementById('downloadBtn');
+      button.disabled = true;
+      let downloaded = 0;
+      try {
+        const cache = await caches.open(OFFLINE_AUDIO_CACHE);
+        const keep = new Set();
+        for (const article of upcoming) {
+          const text = summarySpeechText(article);
+          const url = await offlineAudioUrl(ttsCacheKey(text));
+          keep.add(url);
+          try {
+            if (!(await cache.match(url))) {
+              const blob = await fetchTTSAudio(text, article.id);
+              await cache.put(url, new Response(blob, { headers: { 'Content-Type': blob.type || 'audio/mpeg' } }));
+            }
+            downloaded++;
+            updateStatus('Downloaded ' + downloaded + ' of ' + upcoming.length);
+          } catch (e) {
+            console.error('Download failed for ' + article.id + ':', e);
+          }
+        }
+        for (const request of await cache.keys()) {
+          if (!keep.has(request.url)) await cache.delete(request);
+        }
+      } finally {
+        button.disabled = false;
+      }
+      showToast(downloaded === upcoming.length
+        ? downloaded + ' summaries ready offline'
+        : downloaded + ' of ' + upcoming.length + ' summaries downloaded');
+    }
+
+    function savePendingActions() {
+      localStorage.setItem('pendingActions', JSON.stringify(pendingActions));
+    }
+
+    // Undoing an action that never left the device just drops it. Only the latest
+    // progress per article is worth sending.
+    function queueAction(path, body) {
+      if (path.startsWith('/api/v1/undo')) {
+        const index = pendingActions.findLastIndex(a => a.body.id === body.id && !a.path.startsWith('/api/v1/undo'));
+        if (index !== -1) {
+          pendingActions.splice(index, 1);
+          savePendingActions();
+          return;
+        }
+      }
+      if (path.startsWith('/api/v1/progress')) {
+        pendingActions = pendingActions.filter(a => !(a.path === path && a.body.id === body.id));
+      }
+      pendingActions.push({ path, body, at: Date.now() });
+      savePendingActions();
+      updateStatus(pendingActions.length + ' actions waiting for a connection');
+    }
+
+    // Sends queued actions in order. Stops at the first one that fails for lack of a
+    // connection (or a session) and tries again later; ones the server rejects are dropped.
+    let replaying = false;
+    async function replayPendingActions() {
+      if (replaying || pendingActions.length === 0 || !navigator.onLine) return;
+      replaying = true;
+      let sent = 0;
+      try {
+        while (pendingActions.length > 0) {
+          const { path, body } = pendingActions[0];
+          let response;
+          try {
+            response = await fetch(path, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          } catch (e) {
+            break; // Still offline
+          }
+          if (!response.ok) {
+            const error = apiError(response, await response.json().catch(() => ({})));
+            if (error.retryable || error.code === 'auth_required') break;
+            console.error('Dropping queued action ' + path + ':', error);
+          } else {
+            sent++;
+          }
+          pendingActions.shift();
+          savePendingActions();
+        }
+      } finally {
+        replaying = false;
+      }
+      if (sent > 0) showToast(sent + ' offline ' + (sent === 1 ? 'action' : 'actions') + ' synced');
+    }
+
     // ============ PLAYBACK ============
+    function summarySpeechText(article) {
+      const summaryText = article.summary || (article.title + (article.summary_status === 'over_budget'
+        ? '. There is no summary, because the monthly summary budget is used up.'
+        : '. The summary is still being prepared.'));
+      return 'Next, from ' + (article.site_name || article.source) + '. ' + summaryText;
+    }
+
     function togglePlayPause() {
         if (isPlaying) {
             pause();
@@ -1152,7 +3258,7 @@ function getHTMLContent() {
       }
 
       const article = articles[currentIndex];
-      const text = 'Next, from ' + (article.site_name || article.source) + '. ' + article.summary;
+      const text = summarySpeechText(article);
 
       isPlaying = true;
       updatePlayButton();
@@ -1170,6 +3276,7 @@ function getHTMLContent() {
         clearInterval(progressInterval);
         document.getElementById('progress').style.width = '100%';
         markPlayed(article.id);
+        if (markSummariesStarted) syncProgress(article, ${SUMMARY_HEARD_PROGRESS});
         setTimeout(() => {
           if (isPlaying && currentIndex < articles.length - 1) {
             currentIndex++;
@@ -1242,63 +3349,96 @@ function getHTMLContent() {
       renderList();
     }
 
+    // ============ READING PROGRESS ============
+    function setMarkSummariesStarted(enabled) {
+      markSummariesStarted = enabled;
+      localStorage.setItem('markSummariesStarted', enabled);
+    }
+
+    // Writes progress back to Reader's reading_progress. Progress only moves forward,
+    // so listening never undoes reading done in the Reader app.
+    function syncProgress(article, progress) {
+      if (!article || progress <= (article.reading_progress || 0)) return;
+      article.reading_progress = progress;
+      localStorage.setItem('articles', JSON.stringify(articles));
+      postAction('/api/v1/progress', { id: article.id, progress }).catch(e => console.error('Progress sync error:', e));
+    }
+
     // ============ READ FULL ============
     let readQueue = [];
     let readIndex = 0;
+    let readingArticle = null;
+    let lastSyncedProgress = 0;
 
-    function readFullArticle() {
+    async function readFullArticle() {
       stop(); // Stop summary playback
       const article = articles[currentIndex];
-      if (!article.content) { showToast('No content, opening Reader...'); openReader(); return; }
-
-      // Stop any current summary playback
-      stop();
       isPlaying = false; // logic handled by reader now
+      showToast('Loading article...');
 
-      // Parse content into paragraphs
-      // Simple parser: remove scripts/styles, split by block tags or double newlines
-      const div = document.createElement('div');
-      div.innerHTML = article.content;
-      
-      // Remove unwanted elements
-      div.querySelectorAll('script, style, iframe, nav, header, footer').forEach(e => e.remove());
-      
-      // Get chunks (paragraphs)
-      // Strategy: Iterate over <p>, <li>, blockquote, <h1>-<h6>
-      const blocks = div.querySelectorAll('p, li, blockquote, h1, h2, h3, h4, h5, h6');
-      readQueue = [];
-      
-      if (blocks.length>0) {
-        blocks.forEach(block => {
-          const text = block.innerText.trim();
-          if (text.length>5) readQueue.push(text); // Filter tiny garbage
-        });
-      } else {
-        // Fallback for plain text or weird formatting
-        readQueue = div.innerText.split(/\\n\\s*\\n/).map(t => t.trim()).filter(t => t.length>5);
+      // The server turns Reader HTML into speech-ready paragraphs; offline, the copy
+      // saved with the feed is split here instead
+      try {
+        const mockParam = useMock ? '?mock=true' : '';
+        const data = await apiGet('/api/v1/article/' + encodeURIComponent(article.id) + '/text' + mockParam);
+        readQueue = data.paragraphs || [];
+      } catch (e) {
+        console.error('Article text error:', e);
+        readQueue = paragraphsFromContent(article.content);
       }
+      if (readQueue.length === 0) { showToast('No content, opening Reader...'); openReader(); return; }
 
       // 1. Show UI
       const contentDiv = document.getElementById('full-reader-content');
-      contentDiv.innerHTML = readQueue.map((text, i) => 
-        '<div class="reader-p" id="p-' + i + '" onclick="playParagraph(' + i + ')">' + text + '</div>'
-      ).join('');
-      
+      contentDiv.innerHTML = '';
+      readQueue.forEach((text, i) => {
+        const p = document.createElement('div');
+        p.className = 'reader-p';
+        p.id = 'p-' + i;
+        p.textContent = text;
+        p.onclick = () => playParagraph(i);
+        contentDiv.appendChild(p);
+      });
+
       document.getElementById('full-reader').classList.remove('hidden');
       document.getElementById('container').classList.add('hidden'); // Hide main UI
 
-      // 2. Start Reading
-      readIndex = 0;
-      playParagraph(0);
+      // 2. Start Reading, picking up where Reader (or an earlier listen) left off
+      readingArticle = article;
+      const savedProgress = article.reading_progress || 0;
+      lastSyncedProgress = savedProgress;
+      const resumeAt = savedProgress > 0 && savedProgress < 1 ? Math.min(Math.floor(savedProgress * readQueue.length), readQueue.length - 1) : 0;
+      if (resumeAt > 0) showToast('Resuming at ' + Math.round(savedProgress * 100) + '%');
+      readIndex = resumeAt;
+      playParagraph(resumeAt);
+    }
+
+    // Rougher than the server normalizer: block elements, or blank-line breaks for plain text
+    function paragraphsFromContent(content) {
+      if (!content) return [];
+      const div = document.createElement('div');
+      div.innerHTML = content;
+      div.querySelectorAll('script, style, iframe, nav, header, footer').forEach(e => e.remove());
+
+      const blocks = div.querySelectorAll('p, li, blockquote, h1, h2, h3, h4, h5, h6');
+      const texts = blocks.length > 0 ? [...blocks].map(block => block.textContent) : div.textContent.split(/\\n\\s*\\n/);
+      return texts.map(t => t.trim()).filter(t => t.length > 5);
     }
 
     function playParagraph(index) {
+      if (!readingArticle) return; // The reader was closed while a paragraph was still loading
       if (index>= readQueue.length) {
+        syncProgress(readingArticle, 1);
         showToast('Finished reading');
         return;
       }
 
       readIndex = index;
+      const progress = index / readQueue.length;
+      if (progress - lastSyncedProgress >= ${PROGRESS_SYNC_STEP}) {
+        lastSyncedProgress = progress;
+        syncProgress(readingArticle, progress);
+      }
       
       // Update UI highlights
       document.querySelectorAll('.reader-p').forEach(p => p.classList.remove('active'));
@@ -1319,51 +3459,226 @@ function getHTMLContent() {
       });
     }
 
+    function isFullReaderOpen() {
+      return !document.getElementById('full-reader').classList.contains('hidden');
+    }
+
+    // Saves the paragraph being spoken (plus an optional dictated note) as a Readwise highlight
+    // on the article open in the full reader
+    async function highlightParagraph(note) {
+      const article = readingArticle;
+      const text = readQueue[readIndex];
+      if (!isFullReaderOpen() || !article || !text) { showToast('Nothing to highlight'); return; }
+      try {
+        await postAction('/api/v1/highlight', {
+          id: article.id,
+          text,
+          note: note || undefined,
+          title: article.title,
+          author: article.author,
+          source_url: article.original_url || article.url,
+          paragraph_index: readIndex,
+        });
+        document.getElementById('p-' + readIndex)?.classList.add('highlighted');
+        showToast(note ? 'Highlighted with note' : 'Highlighted');
+      } catch (e) { showToast('Highlight failed: ' + e.message); }
+    }
+
     function closeFullReader() {
       stop();
+      if (readQueue.length > 0) syncProgress(readingArticle, readIndex / readQueue.length);
+      readQueue = [];
+      readIndex = 0;
+      readingArticle = null;
       isPlaying = false;
       document.getElementById('full-reader').classList.add('hidden');
       document.getElementById('container').classList.remove('hidden');
     }
 
     // ============ ACTIONS ============
+    // POSTs an article action; Readwise failures come back with a status and a message to show.
+    // Without a connection, article actions are queued (see OFFLINE) and resolve as { queued: true }.
+    async function postAction(path, body) {
+      const mockParam = useMock ? '?mock=true' : '';
+      const queueable = !path.startsWith('/api/v1/auth/');
+      if (!navigator.onLine && queueable) {
+        queueAction(path + mockParam, body);
+        return { success: true, queued: true };
+      }
+      let response;
+      try {
+        response = await fetch(path + mockParam, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+      } catch (error) {
+        if (!queueable) throw error;
+        queueAction(path + mockParam, body);
+        return { success: true, queued: true };
+      }
+      if (response.ok) return response.json();
+      const error = apiError(response, await response.json().catch(() => ({})));
+      if (error.code === 'auth_required') showSignIn(error.login);
+      if (error.code === 'rate_limited') {
+        throw new Error('Readwise is busy, try again in ' + (error.retryAfter || 'a few') + 's');
+      }
+      if (error.code === 'document_not_found') {
+        forgetArticle(body.id);
+        throw new Error('Article no longer exists in Readwise');
+      }
+      throw error;
+    }
+
+    // Deletes made in Reader never show up as sync changes; drop the article once Readwise says it is gone
+    function forgetArticle(id) {
+      const index = articles.findIndex(a => a.id === id);
+      if (index === -1) return;
+      articles.splice(index, 1);
+      if (index < currentIndex || currentIndex >= articles.length) currentIndex = Math.max(0, currentIndex - 1);
+      localStorage.setItem('articles', JSON.stringify(articles));
+      if (articles.length === 0) showEmpty();
+      else { updateDisplay(); renderList(); }
+    }
+
     async function archiveArticle() {
       stop();
       const article = articles[currentIndex];
+      const index = currentIndex;
       showToast('Archiving...');
       try {
-        const mockParam = useMock ? '?mock=true' : '';
-        await fetch('/api/archive' + mockParam, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ id: article.id }) });
-        showToast('Archived');
+        await postAction('/api/v1/archive', { id: article.id, location: article.location });
+        rememberUndo('archive', article, index);
+        showUndoToast('Archived');
         removeCurrentArticle();
-      } catch (e) { showToast('Failed'); }
+      } catch (e) { showToast('Archive failed: ' + e.message); }
     }
 
     async function deleteArticle() {
       stop();
       const article = articles[currentIndex];
+      const index = currentIndex;
       showToast('Deleting...');
       try {
-        const mockParam = useMock ? '?mock=true' : '';
-        await fetch('/api/delete' + mockParam, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ id: article.id }) });
-        showToast('Deleted');
+        await postAction('/api/v1/delete', { id: article.id });
+        rememberUndo('delete', article, index);
+        showUndoToast('Deleted');
         removeCurrentArticle();
-      } catch (e) { showToast('Failed'); }
+      } catch (e) { showToast('Delete failed: ' + e.message); }
     }
 
     async function laterArticle() {
       stop();
       const article = articles[currentIndex];
-      showToast('Saved for later');
+      const wasPlayed = playedIds.has(article.id);
+      const previousLocation = article.location;
       try {
-        const mockParam = useMock ? '?mock=true' : '';
-        await fetch('/api/later' + mockParam, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ id: article.id }) });
+        await postAction('/api/v1/later', { id: article.id, location: previousLocation });
+        rememberUndo('later', article, currentIndex, wasPlayed, previousLocation);
+        article.location = 'later';
+        localStorage.setItem('articles', JSON.stringify(articles));
+        showUndoToast('Saved for later');
         markPlayed(article.id); // Mark as seen locally immediately
         updateDisplay();
         renderList(); 
         // If "Show Seen" is OFF, it will naturally disappear from list in renderList() filtering
         // If ON, it stays but fades.
-      } catch (e) { showToast('Failed'); }
+      } catch (e) { showToast('Failed: ' + e.message); }
+    }
+
+    async function shortlistArticle() {
+      const article = articles[currentIndex];
+      if (!article) return;
+      const previousLocation = article.location;
+      try {
+        await postAction('/api/v1/shortlist', { id: article.id, location: previousLocation });
+        rememberUndo('shortlist', article, currentIndex, false, previousLocation);
+        article.location = 'shortlist';
+        localStorage.setItem('articles', JSON.stringify(articles));
+        showUndoToast('Shortlisted');
+      } catch (e) { showToast('Shortlist failed: ' + e.message); }
+    }
+
+    // ============ TAGS & NOTES ============
+    const QUICK_TAGS = ${JSON.stringify(QUICK_TAGS)};
+
+    function toggleQuickTags() {
+      document.getElementById('quickTags').classList.toggle('hidden');
+    }
+
+    async function tagArticle(tag) {
+      const article = articles[currentIndex];
+      if (!article) return;
+      document.getElementById('quickTags').classList.add('hidden');
+      try {
+        await postAction('/api/v1/tag', { id: article.id, tag });
+        showToast('Tagged: ' + tag);
+      } catch (e) { showToast('Tag failed: ' + e.message); }
+    }
+
+    // Typed from the Note button; dictated notes arrive from the voice command
+    async function noteArticle(note) {
+      const article = articles[currentIndex];
+      if (!article) return;
+      if (note === undefined) note = prompt('Note for "' + article.title + '"');
+      if (!note || !note.trim()) return;
+      try {
+        await postAction('/api/v1/note', { id: article.id, note: note.trim() });
+        showToast('Note saved');
+      } catch (e) { showToast('Note failed: ' + e.message); }
+    }
+
+    // "tag as research", "tag it work", "tag research" — only quick tags, so a misheard word can't create a tag
+    function tagFromVoice(phrase) {
+      const spoken = phrase.trim().toLowerCase();
+      const tag = QUICK_TAGS.find(t => t.toLowerCase() === spoken || t.toLowerCase().replace(/-/g, ' ') === spoken);
+      if (tag) tagArticle(tag);
+      else showToast('Unknown tag "' + phrase + '". Try: ' + QUICK_TAGS.join(', '));
+    }
+
+    // ============ UNDO ============
+    const UNDO_TOAST_MS = 8000;
+    let lastAction = null;
+
+    function rememberUndo(type, article, index, wasPlayed = false, previousLocation = article.location) {
+      lastAction = { type, article, index, wasPlayed, previousLocation, at: Date.now() };
+    }
+
+    function showUndoToast(msg) {
+      const toast = document.getElementById('toast');
+      toast.textContent = msg;
+      const button = document.createElement('button');
+      button.textContent = 'Undo';
+      button.onclick = undoLastAction;
+      toast.appendChild(button);
+      toast.classList.add('show');
+      clearTimeout(toastTimer);
+      toastTimer = setTimeout(() => toast.classList.remove('show'), UNDO_TOAST_MS);
+    }
+
+    // The server keeps the action log for ${UNDO_WINDOW / 60} minutes; the toast is just the easy way in
+    async function undoLastAction() {
+      if (!lastAction || Date.now() - lastAction.at > ${UNDO_WINDOW * 1000}) {
+        showToast('Nothing to undo');
+        return;
+      }
+      const { type, article, index, wasPlayed, previousLocation } = lastAction;
+      lastAction = null;
+      try {
+        await postAction('/api/v1/undo', { id: article.id });
+        if (type === 'later' || type === 'shortlist') {
+          article.location = previousLocation;
+          localStorage.setItem('articles', JSON.stringify(articles));
+          if (type === 'later' && !wasPlayed) {
+            playedIds.delete(article.id);
+            localStorage.setItem('played', JSON.stringify([...playedIds].slice(-200)));
+          }
+        } else if (!articles.some(a => a.id === article.id)) {
+          articles.splice(Math.min(index, articles.length), 0, article);
+          localStorage.setItem('articles', JSON.stringify(articles));
+          currentIndex = Math.min(index, articles.length - 1);
+          showPlayer();
+        }
+        updateDisplay();
+        renderList();
+        showToast('Undone: ' + type);
+      } catch (e) { showToast('Undo failed: ' + e.message); }
     }
 
     function removeCurrentArticle() {
@@ -1411,7 +3726,19 @@ function getHTMLContent() {
 
     function handleVoiceCommand(cmd) {
       showToast('Heard: ' + cmd);
-      if (cmd.includes('archive')) archiveArticle();
+      const highlightMatch = cmd.match(/^highlight(?: this| that| it)?(?:[,.]?\\s*(?:with )?(?:a )?note[:,]?\\s+(.+))?$/);
+      const noteMatch = cmd.match(/^(?:add (?:a )?)?note[:,]?\\s+(.+)$/);
+      const tagMatch = cmd.match(/^tag(?: it)?(?: as)?\\s+(.+)$/);
+      // Highlights come from the full reader, so go back to its paragraph rather than the summary
+      if (highlightMatch) {
+        if (isFullReaderOpen()) highlightParagraph(highlightMatch[1]).then(() => playParagraph(readIndex));
+        else { showToast('Open the full article to highlight a paragraph'); play(); }
+      }
+      else if (noteMatch) noteArticle(noteMatch[1]);
+      else if (tagMatch) tagFromVoice(tagMatch[1]);
+      else if (cmd.includes('undo') || cmd.includes('take that back')) undoLastAction();
+      else if (cmd.includes('shortlist') || /\\bstar\\b/.test(cmd)) shortlistArticle();
+      else if (cmd.includes('archive')) archiveArticle();
       else if (cmd.includes('delete') || cmd.includes('remove')) deleteArticle();
       else if (cmd.includes('later') || cmd.includes('save')) laterArticle();
       else if (cmd.includes('open') || cmd.includes('browser')) openOriginal();
@@ -1494,11 +3821,13 @@ function getHTMLContent() {
       document.getElementById('player').classList.add('hidden');
       document.getElementById('empty').classList.remove('hidden');
     }
+    let toastTimer = null;
     function showToast(msg) {
       const toast = document.getElementById('toast');
       toast.textContent = msg;
       toast.classList.add('show');
-      setTimeout(() => toast.classList.remove('show'), 2500);
+      clearTimeout(toastTimer);
+      toastTimer = setTimeout(() => toast.classList.remove('show'), 2500);
     }
   </script>
 </body>
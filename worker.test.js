@@ -9,19 +9,46 @@ import {
   extractSource,
   getHeardIds,
   getLaterIds,
+  getQueuedIds,
+  summaryCacheKey,
+  splitAtSentences,
+  splitIntoSections,
+  createSummarizer,
+  getSummarizer,
+  encodeFeedCursor,
+  decodeFeedCursor,
+  processPendingDeletes,
+  processSummaryQueue,
+  matchRoute,
+  runPresync,
 } from './worker.js';
 import {
   CLAUDE_MODEL,
   SUMMARY_WORD_TARGET,
+  PRESYNC_CRON,
+  NOTE_MAX_CHARS,
+  BATCH_CONCURRENCY,
+  UNDO_WINDOW,
+  READWISE_PAGE_SIZE,
+  SUMMARY_STYLES,
+  SUMMARY_SECTION_CHARS,
+  SUMMARY_MAX_SECTIONS,
+  SECTION_SUMMARY_PROMPT,
+  TTS_SEGMENT_CHARS,
+  TTS_MAX_INPUT_CHARS,
+  OFFLINE_DOWNLOAD_COUNT,
+  MAX_ARTICLES,
 } from './config.js';
 
 // Import the worker's default export for integration tests
 import worker from './worker.js';
+import { resetReadwiseBudget } from './readwise-client.js';
 
 // Import Mocks
-import { mockReadwiseList, mockReadwiseUpdate, mockReadwiseDelete } from './mocks/readwise-api.js';
+import { mockReadwiseList, mockReadwiseUpdate, mockReadwiseDelete, mockReadwiseHighlights, mockReadwiseAuth } from './mocks/readwise-api.js';
 import { mockClaudeResponse } from './mocks/claude-api.js';
 import { mockTTSResponse } from './mocks/tts-api.js';
+import { mockChatCompletionResponse } from './mocks/openai-chat-api.js';
 
 // ============ MOCK HELPERS ============
 
@@ -46,6 +73,19 @@ function createMockKV(initialData = {}) {
   };
 }
 
+function createMockCtx() {
+  const promises = [];
+  return {
+    waitUntil: vi.fn((promise) => { promises.push(promise); }),
+    _settle: () => Promise.all(promises), // Await background work
+  };
+}
+
+// Summary cache key for an article as the worker would write it
+function cacheKeyFor(articleId, location = 'feed', style = 'standard') {
+  return summaryCacheKey(articleId, getSummarizer(location, createMockEnv()), style);
+}
+
 function createMockEnv(kvData = {}) {
   return {
     READWISE_TOKEN: 'test-readwise-token',
@@ -152,6 +192,97 @@ describe('getLaterIds', () => {
   });
 });
 
+// ============ UNIT TESTS: splitAtSentences ============
+
+describe('splitAtSentences', () => {
+  it('keeps short text as a single chunk', () => {
+    expect(splitAtSentences('One sentence. Two sentences.', 100)).toEqual(['One sentence. Two sentences.']);
+  });
+
+  it('splits at sentence boundaries under the limit', () => {
+    const segments = splitAtSentences('First sentence here. Second sentence here. Third one.', 45);
+    expect(segments).toEqual(['First sentence here. Second sentence here.', 'Third one.']);
+  });
+
+  it('breaks oversized sentences at word boundaries without losing text', () => {
+    const text = 'word '.repeat(50).trim() + '.';
+    const segments = splitAtSentences(text, 40);
+
+    expect(segments.every(s => s.length <= 40)).toBe(true);
+    expect(segments.join(' ')).toBe(text);
+  });
+});
+
+// ============ UNIT TESTS: splitIntoSections ============
+
+describe('splitIntoSections', () => {
+  it('keeps normal-length content as one section', () => {
+    expect(splitIntoSections('A short article.')).toEqual(['A short article.']);
+  });
+
+  it('splits long content into sections no longer than the section size', () => {
+    const content = 'A sentence of article text. '.repeat(1000); // ~28k chars
+    const sections = splitIntoSections(content);
+
+    expect(sections.length).toBeGreaterThan(1);
+    expect(sections.every(s => s.length <= SUMMARY_SECTION_CHARS)).toBe(true);
+  });
+
+  it('grows sections instead of exceeding the section cap', () => {
+    const content = 'A sentence of article text. '.repeat(10000); // ~280k chars
+    expect(splitIntoSections(content).length).toBeLessThanOrEqual(SUMMARY_MAX_SECTIONS);
+  });
+
+  it('merges a sentence-boundary spill into the last section', () => {
+    // 3001 sentences of 29 chars: each section holds 375, so a ninth would get the last one
+    const content = 'A sentence of article text!! '.repeat(3001);
+    const sections = splitIntoSections(content);
+
+    expect(sections).toHaveLength(SUMMARY_MAX_SECTIONS);
+    expect(sections.join(' ').replace(/\s+/g, ' ')).toBe(content.trim().replace(/\s+/g, ' '));
+  });
+});
+
+// ============ UNIT TESTS: summarizers ============
+
+describe('summarizers', () => {
+  it('picks backend and model per location', () => {
+    const env = createMockEnv();
+    expect(getSummarizer('feed', env)).toMatchObject({ backend: 'anthropic', model: CLAUDE_MODEL });
+    expect(getSummarizer('later', env).model).not.toBe(CLAUDE_MODEL);
+    expect(getSummarizer('unknown-location', env).backend).toBe('anthropic');
+  });
+
+  it('includes backend and model in the cache key', () => {
+    const env = createMockEnv();
+    expect(summaryCacheKey('abc', getSummarizer('feed', env)))
+      .not.toBe(summaryCacheKey('abc', getSummarizer('later', env)));
+    expect(summaryCacheKey('abc', createSummarizer('local', 'llama3.1:8b', env)))
+      .toBe('summary:local:llama3.1:8b:standard:abc');
+  });
+
+  it('calls an OpenAI-compatible chat endpoint at the configured base URL', async () => {
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = vi.fn(async (url, options) => mockChatCompletionResponse({ json: async () => JSON.parse(options.body) }));
+    try {
+      const env = { ...createMockEnv(), LOCAL_LLM_BASE_URL: 'http://llm.local:11434/v1' };
+      const result = await createSummarizer('local', 'llama3.1:8b', env).complete({
+        system: 'Summarize.',
+        prompt: 'Article text',
+        maxTokens: 300,
+      });
+
+      const [url, options] = globalThis.fetch.mock.calls[0];
+      expect(url).toBe('http://llm.local:11434/v1/chat/completions');
+      expect(JSON.parse(options.body).messages[0]).toEqual({ role: 'system', content: 'Summarize.' });
+      expect(result.text).toContain('mock summary');
+      expect(result.usage).toEqual({ input_tokens: 60, output_tokens: 35 });
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+});
+
 // ============ INTEGRATION TESTS: API Endpoints ============
 
 describe('Worker API Endpoints', () => {
@@ -159,6 +290,7 @@ describe('Worker API Endpoints', () => {
 
   beforeEach(() => {
     originalFetch = globalThis.fetch;
+    resetReadwiseBudget();
 
     // Route requests to appropriate mocks
     globalThis.fetch = vi.fn(async (url, options) => {
@@ -182,14 +314,24 @@ describe('Worker API Endpoints', () => {
       if (urlStr.includes('readwise.io/api/v3/delete')) {
         return mockReadwiseDelete(req);
       }
+      if (urlStr.includes('readwise.io/api/v2/highlights')) {
+        return mockReadwiseHighlights(req);
+      }
+      if (urlStr.includes('readwise.io/api/v2/auth')) {
+        return mockReadwiseAuth(req);
+      }
 
       // 2. Claude (Anthropic)
       if (urlStr.includes('api.anthropic.com')) {
         return mockClaudeResponse(req);
       }
 
-      // 3. OpenAI TTS
-      if (urlStr.includes('api.openai.com')) {
+      if (urlStr.endsWith('/chat/completions')) {
+        return mockChatCompletionResponse(req);
+      }
+
+      // 3. OpenAI TTS (and OpenAI-compatible local servers)
+      if (urlStr.includes('api.openai.com') || urlStr.endsWith('/audio/speech')) {
         return mockTTSResponse(req);
       }
 
@@ -244,6 +386,408 @@ describe('Worker API Endpoints', () => {
       const ids = data.articles.map(a => a.id);
       expect(ids).not.toContain('01kg2v32rr4p7bd5zh4zzsbx9g');
     });
+
+    it('forwards category, tag and updatedAfter to the Readwise list call', async () => {
+      const env = createMockEnv();
+      const request = new Request('https://example.com/api/feed?location=feed&category=article&tag=politics&updatedAfter=2026-01-01');
+      await worker.fetch(request, env, {});
+
+      const listUrl = new URL(globalThis.fetch.mock.calls.find(([url]) => url.includes('/api/v3/list'))[0]);
+      expect(listUrl.searchParams.get('category')).toBe('article');
+      expect(listUrl.searchParams.get('tag')).toBe('politics');
+      expect(listUrl.searchParams.get('updatedAfter')).toBe('2026-01-01T00:00:00.000Z');
+    });
+
+    it('filters by site, author and word count', async () => {
+      const env = createMockEnv();
+      const bySite = await (await worker.fetch(new Request('https://example.com/api/feed?site=rolling'), env, {})).json();
+      expect(bySite.articles.map(a => a.id)).toEqual(['01kg2p7xwgmc735p4356a4fajf']);
+      expect(bySite.filters).toEqual({ site: 'rolling' });
+
+      const byAuthor = await (await worker.fetch(new Request('https://example.com/api/feed?author=breathed'), env, {})).json();
+      expect(byAuthor.articles.map(a => a.id)).toEqual(['01kg2v32rr4p7bd5zh4zzsbx9g']);
+
+      const shortReads = await (await worker.fetch(new Request('https://example.com/api/feed?maxWords=500'), env, {})).json();
+      expect(shortReads.articles.every(a => a.word_count <= 500)).toBe(true);
+      expect(shortReads.articles.map(a => a.id)).not.toContain('01kg2p7xwgmc735p4356a4fajf');
+    });
+
+    it('rejects invalid filters', async () => {
+      const env = createMockEnv();
+      const badCategory = await worker.fetch(new Request('https://example.com/api/feed?category=podcast'), env, {});
+      expect(badCategory.status).toBe(400);
+
+      const badRange = await worker.fetch(new Request('https://example.com/api/feed?minWords=900&maxWords=100'), env, {});
+      expect(badRange.status).toBe(400);
+      expect((await badRange.json()).error).toMatchObject({ code: 'invalid_request', message: expect.stringMatching(/minWords/), retryable: false });
+    });
+  });
+
+  describe('Background summary queue', () => {
+    it('returns pending articles immediately and queues them', async () => {
+      const env = createMockEnv();
+      const request = new Request('https://example.com/api/feed');
+      const response = await worker.fetch(request, env, {});
+      const data = await response.json();
+
+      expect(data.pending).toBe(data.articles.length);
+      expect(data.articles.every(a => a.summary_status === 'pending' && a.summary === null)).toBe(true);
+
+      const queued = await getQueuedIds(env);
+      expect(queued.has('standard:01kg2v32rr4p7bd5zh4zzsbx9g')).toBe(true);
+      expect(globalThis.fetch).not.toHaveBeenCalledWith('https://api.anthropic.com/v1/messages', expect.anything());
+    });
+
+    it('serves cached summaries as ready', async () => {
+      const env = createMockEnv({
+        [cacheKeyFor('01kg2v32rr4p7bd5zh4zzsbx9g')]: 'Cached summary',
+      });
+      const request = new Request('https://example.com/api/feed');
+      const response = await worker.fetch(request, env, {});
+      const data = await response.json();
+
+      const sample = data.articles.find(a => a.id === '01kg2v32rr4p7bd5zh4zzsbx9g');
+      expect(sample.summary).toBe('Cached summary');
+      expect(sample.summary_status).toBe('ready');
+      expect((await getQueuedIds(env)).has('standard:01kg2v32rr4p7bd5zh4zzsbx9g')).toBe(false);
+    });
+
+    it('scheduled handler drains the queue into the summary cache', async () => {
+      const env = createMockEnv();
+      await worker.fetch(new Request('https://example.com/api/feed'), env, {});
+
+      const ctx = createMockCtx();
+      await worker.scheduled({ cron: '*/5 * * * *' }, env, ctx);
+      await ctx._settle();
+
+      expect((await getQueuedIds(env)).size).toBe(0);
+      expect(await env.KV.get(cacheKeyFor('01kg2v32rr4p7bd5zh4zzsbx9g'))).toContain('mock summary');
+    });
+
+    it('sends normalized speech text to the summarizer, not raw HTML', async () => {
+      const entry = {
+        article: { id: 'html-article', title: 'HTML', content: '<p>Real text.</p><script>track()</script>', location: 'feed' },
+        style: 'standard',
+        mock: false,
+        attempts: 0,
+      };
+      const env = createMockEnv({ 'queue:standard:html-article': JSON.stringify(entry) });
+      const ctx = createMockCtx();
+      await worker.scheduled({ cron: '*/5 * * * *' }, env, ctx);
+      await ctx._settle();
+
+      const [, options] = globalThis.fetch.mock.calls.find(([url]) => String(url).includes('api.anthropic.com'));
+      const prompt = JSON.parse(options.body).messages[0].content;
+      expect(prompt).toContain('Real text.');
+      expect(prompt).not.toContain('<p>');
+      expect(prompt).not.toContain('track()');
+    });
+
+    it('reports ready and pending ids from /api/summaries', async () => {
+      const env = createMockEnv({
+        [cacheKeyFor('ready-id')]: 'Done',
+      });
+      const request = new Request('https://example.com/api/summaries?ids=ready-id:feed,waiting-id:feed');
+      const response = await worker.fetch(request, env, {});
+      const data = await response.json();
+
+      expect(data.summaries).toEqual({ 'ready-id': 'Done' });
+      expect(data.pending).toEqual(['waiting-id']);
+      expect(data.summary_budget_exceeded).toBe(false);
+    });
+
+    it('tells pollers when pending summaries are over the budget and caps ids per request', async () => {
+      const env = { ...createMockEnv(), MONTHLY_SUMMARY_BUDGET_USD: '0' };
+      const ctx = createMockCtx();
+      const data = await (await worker.fetch(new Request('https://example.com/api/summaries?ids=waiting-id:feed'), env, ctx)).json();
+      expect(data).toMatchObject({ pending: ['waiting-id'], summary_budget_exceeded: true });
+      expect(ctx.waitUntil).not.toHaveBeenCalled();
+
+      const ids = Array.from({ length: MAX_ARTICLES + 1 }, (_, i) => `id-${i}:feed`).join(',');
+      const tooMany = await worker.fetch(new Request(`https://example.com/api/summaries?ids=${ids}`), createMockEnv(), {});
+      expect(tooMany.status).toBe(400);
+    });
+  });
+
+  describe('Summary styles', () => {
+    it('queues and caches each style separately', async () => {
+      const env = createMockEnv({
+        [cacheKeyFor('01kg2v32rr4p7bd5zh4zzsbx9g')]: 'Standard summary',
+      });
+      const response = await worker.fetch(new Request('https://example.com/api/feed?style=headline'), env, {});
+      const data = await response.json();
+
+      const sample = data.articles.find(a => a.id === '01kg2v32rr4p7bd5zh4zzsbx9g');
+      expect(data.style).toBe('headline');
+      expect(sample.summary_status).toBe('pending'); // The standard summary is not reused
+      expect((await getQueuedIds(env)).has('headline:01kg2v32rr4p7bd5zh4zzsbx9g')).toBe(true);
+
+      const ctx = createMockCtx();
+      await worker.scheduled({ cron: '*/5 * * * *' }, env, ctx);
+      await ctx._settle();
+
+      const claudeBodies = globalThis.fetch.mock.calls
+        .filter(([url]) => String(url).includes('api.anthropic.com'))
+        .map(([, options]) => JSON.parse(options.body));
+      expect(claudeBodies.every(b => b.system === SUMMARY_STYLES.headline.prompt)).toBe(true);
+      expect(claudeBodies[0].max_tokens).toBe(SUMMARY_STYLES.headline.maxTokens);
+      expect(await env.KV.get(cacheKeyFor('01kg2v32rr4p7bd5zh4zzsbx9g', 'feed', 'headline'))).toContain('mock summary');
+      expect(await env.KV.get(cacheKeyFor('01kg2v32rr4p7bd5zh4zzsbx9g'))).toBe('Standard summary');
+    });
+
+    it('summarizes long articles section by section and combines the results', async () => {
+      const sentences = Array.from({ length: 600 }, (_, i) => `Paragraph sentence ${i} of a long read.`);
+      const entry = {
+        article: { id: 'long-article', title: 'A Long Read', site_name: 'Longform', content: sentences.join(' '), location: 'feed' },
+        style: 'standard',
+        mock: false,
+        attempts: 0,
+      };
+      const env = createMockEnv({ 'queue:standard:long-article': JSON.stringify(entry) });
+
+      const ctx = createMockCtx();
+      await worker.scheduled({ cron: '*/5 * * * *' }, env, ctx);
+      await ctx._settle();
+
+      const claudeBodies = globalThis.fetch.mock.calls
+        .filter(([url]) => String(url).includes('api.anthropic.com'))
+        .map(([, options]) => JSON.parse(options.body));
+      const sectionCalls = claudeBodies.filter(b => b.system === SECTION_SUMMARY_PROMPT);
+      const finalCall = claudeBodies.at(-1);
+
+      expect(sectionCalls.length).toBe(splitIntoSections(entry.article.content).length);
+      expect(sectionCalls.length).toBeGreaterThan(1);
+      expect(finalCall.system).toBe(SUMMARY_STYLES.standard.prompt);
+      expect(finalCall.messages[0].content).toContain(`Section ${sectionCalls.length} of ${sectionCalls.length}`);
+      expect(finalCall.messages[0].content).not.toContain('Paragraph sentence 599'); // Raw text is not re-sent
+
+      const chapters = JSON.parse(Object.entries(env.KV._store).find(([k]) => k.startsWith('chapters:'))[1]);
+      expect(chapters).toHaveLength(sectionCalls.length);
+      expect(await env.KV.get(cacheKeyFor('long-article'))).toContain('mock summary');
+    });
+
+    it('rejects unknown styles', async () => {
+      const env = createMockEnv();
+      const response = await worker.fetch(new Request('https://example.com/api/feed?style=haiku'), env, {});
+
+      expect(response.status).toBe(400);
+      expect((await response.json()).error.message).toMatch(/style/);
+    });
+  });
+
+  describe('Scheduled pre-sync', () => {
+    it('warms summaries and serves the next feed call from cache', async () => {
+      const env = createMockEnv();
+      const ctx = createMockCtx();
+      await worker.scheduled({ cron: PRESYNC_CRON }, env, ctx);
+      await ctx._settle();
+
+      expect(env.KV._store['sync:all']).toBeDefined();
+      expect(await env.KV.get(cacheKeyFor('01kg2p7xwgmc735p4356a4fajf', 'later'))).toContain('mock summary');
+
+      globalThis.fetch.mockClear();
+      const response = await worker.fetch(new Request('https://example.com/api/feed?location=all'), env, {});
+      const data = await response.json();
+
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+      expect(data.pending).toBe(0);
+      expect(data.articles.every(a => a.summary_status === 'ready')).toBe(true);
+      expect(env.KV._store['sync:all']).toBeUndefined(); // Snapshot is single-use
+    });
+
+    it('skips articles that were already heard', async () => {
+      const env = createMockEnv({
+        'heard:01kg2v32rr4p7bd5zh4zzsbx9g': Date.now().toString(),
+      });
+      const ctx = createMockCtx();
+      await worker.scheduled({ cron: PRESYNC_CRON }, env, ctx);
+      await ctx._settle();
+
+      expect(await env.KV.get(cacheKeyFor('01kg2v32rr4p7bd5zh4zzsbx9g'))).toBeNull();
+    });
+  });
+
+  describe('Feed paging', () => {
+    const feedDoc = (id) => ({ id, title: `Story ${id}`, location: 'feed', category: 'rss', saved_at: '2026-01-20T00:00:00Z' });
+
+    // Two Readwise pages for the feed location: a full one, then the remainder
+    beforeEach(() => {
+      const routeFetch = globalThis.fetch.getMockImplementation();
+      globalThis.fetch.mockImplementation(async (url, options) => {
+        if (!url.includes('/api/v3/list')) return routeFetch(url, options);
+        if (new URL(url).searchParams.get('pageCursor') === 'page-2') {
+          return Response.json({ results: [feedDoc('page-2-a'), feedDoc('page-2-b')], nextPageCursor: null });
+        }
+        const results = Array.from({ length: READWISE_PAGE_SIZE }, (_, i) => feedDoc(`page-1-${i}`));
+        return Response.json({ results, nextPageCursor: 'page-2' });
+      });
+    });
+
+    it('round-trips cursors and rejects malformed ones', () => {
+      const cursor = encodeFeedCursor({ feed: 'page-2', later: 'abc/+=' });
+      expect(decodeFeedCursor(cursor)).toEqual({ feed: 'page-2', later: 'abc/+=' });
+      expect(encodeFeedCursor(null)).toBeNull();
+      expect(decodeFeedCursor('not-a-cursor')).toBeNull();
+      expect(decodeFeedCursor(encodeFeedCursor({ archive: 'x' }))).toBeNull();
+    });
+
+    it('returns a next_cursor and resumes from it, summarizing only the page shown', async () => {
+      const env = createMockEnv();
+      const first = await (await worker.fetch(new Request('https://example.com/api/feed?location=feed&client=phone-123'), env, {})).json();
+
+      expect(first.articles).toHaveLength(READWISE_PAGE_SIZE);
+      expect(decodeFeedCursor(first.next_cursor)).toEqual({ feed: 'page-2' });
+      expect(env.KV._store['queue:standard:page-2-a']).toBeUndefined();
+
+      globalThis.fetch.mockClear();
+      const second = await (await worker.fetch(new Request(`https://example.com/api/feed?location=feed&client=phone-123&cursor=${first.next_cursor}`), env, {})).json();
+
+      const listUrl = new URL(globalThis.fetch.mock.calls.find(([url]) => url.includes('/api/v3/list'))[0]);
+      expect(listUrl.searchParams.get('pageCursor')).toBe('page-2');
+      expect(listUrl.searchParams.get('limit')).toBe(String(READWISE_PAGE_SIZE));
+      expect(second.articles.map(a => a.id)).toEqual(['page-2-a', 'page-2-b']);
+      expect(second.next_cursor).toBeNull();
+      expect(env.KV._store['queue:standard:page-2-a']).toBeDefined();
+
+      // Later pages extend the incremental-sync cursor
+      expect(JSON.parse(env.KV._store['sync-cursor:phone-123:feed']).ids).toContain('page-2-b');
+    });
+
+    it('keeps the next_cursor when the first page comes from the pre-sync snapshot', async () => {
+      const env = createMockEnv();
+      await runPresync(env, ['feed']);
+
+      globalThis.fetch.mockClear();
+      const first = await (await worker.fetch(new Request('https://example.com/api/feed?location=feed'), env, {})).json();
+      expect(globalThis.fetch.mock.calls.some(([url]) => url.includes('/api/v3/list'))).toBe(false);
+      expect(first.articles).toHaveLength(READWISE_PAGE_SIZE);
+      expect(decodeFeedCursor(first.next_cursor)).toEqual({ feed: 'page-2' });
+
+      const second = await (await worker.fetch(new Request(`https://example.com/api/feed?location=feed&cursor=${first.next_cursor}`), env, {})).json();
+      expect(second.articles.map(a => a.id)).toEqual(['page-2-a', 'page-2-b']);
+    });
+
+    it('shares MAX_ARTICLES between locations on a page', async () => {
+      const env = createMockEnv();
+      await worker.fetch(new Request('https://example.com/api/feed?location=all'), env, {});
+
+      const limits = globalThis.fetch.mock.calls
+        .filter(([url]) => url.includes('/api/v3/list'))
+        .map(([url]) => Number(new URL(url).searchParams.get('limit')));
+      expect(limits).toHaveLength(4);
+      expect(limits.reduce((sum, limit) => sum + limit, 0)).toBeLessThanOrEqual(MAX_ARTICLES);
+    });
+
+    it('rejects an invalid cursor', async () => {
+      const env = createMockEnv();
+      const response = await worker.fetch(new Request('https://example.com/api/feed?cursor=%%%'), env, {});
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Incremental sync', () => {
+    it('stores a sync cursor for the client after a full sync', async () => {
+      const env = createMockEnv();
+      await worker.fetch(new Request('https://example.com/api/feed?location=all&client=phone-123'), env, {});
+
+      const cursor = JSON.parse(env.KV._store['sync-cursor:phone-123:all']);
+      expect(cursor.synced_at).toEqual(expect.any(Number));
+      expect(cursor.ids).toEqual(expect.arrayContaining(['01kg2v32rr4p7bd5zh4zzsbx9g', '01kg2p7xwgmc735p4356a4fajf']));
+    });
+
+    it('fetches only changes and reports added, updated and removed ids', async () => {
+      const syncedAt = Date.parse('2026-01-30T00:00:00Z');
+      const env = createMockEnv({
+        'sync-cursor:phone-123:all': JSON.stringify({ synced_at: syncedAt, ids: ['01kg2p7xwgmc735p4356a4fajf', 'archived-article-id'] }),
+      });
+      const response = await worker.fetch(new Request('https://example.com/api/feed?location=all&client=phone-123&incremental=true'), env, {});
+      const data = await response.json();
+
+      const listUrl = new URL(globalThis.fetch.mock.calls.find(([url]) => url.includes('/api/v3/list'))[0]);
+      expect(listUrl.searchParams.get('updatedAfter')).toBe('2026-01-30T00:00:00.000Z');
+      expect(listUrl.searchParams.has('location')).toBe(false);
+
+      expect(data.incremental).toBe(true);
+      expect(data.changes).toEqual({
+        added: ['01kg2v32rr4p7bd5zh4zzsbx9g'],
+        updated: ['01kg2p7xwgmc735p4356a4fajf'],
+        removed: ['archived-article-id'],
+      });
+      expect(data.articles.map(a => a.id).sort()).toEqual(['01kg2p7xwgmc735p4356a4fajf', '01kg2v32rr4p7bd5zh4zzsbx9g']);
+
+      const cursor = JSON.parse(env.KV._store['sync-cursor:phone-123:all']);
+      expect(cursor.ids.sort()).toEqual(['01kg2p7xwgmc735p4356a4fajf', '01kg2v32rr4p7bd5zh4zzsbx9g']);
+      expect(cursor.synced_at).toBeGreaterThan(syncedAt);
+    });
+
+    it('does a full sync when there is no cursor yet', async () => {
+      const env = createMockEnv();
+      const response = await worker.fetch(new Request('https://example.com/api/feed?location=feed&client=phone-123&incremental=true'), env, {});
+      const data = await response.json();
+
+      expect(data.incremental).toBe(false);
+      expect(data.changes).toBeNull();
+      expect(env.KV._store['sync-cursor:phone-123:feed']).toBeDefined();
+    });
+
+    it('keeps a separate cursor per client', async () => {
+      const phoneSyncedAt = Date.parse('2026-01-30T00:00:00Z');
+      const laptopSyncedAt = Date.parse('2026-01-20T00:00:00Z');
+      const env = createMockEnv({
+        'sync-cursor:phone-123:all': JSON.stringify({ synced_at: phoneSyncedAt, ids: ['01kg2p7xwgmc735p4356a4fajf'] }),
+        'sync-cursor:laptop-456:all': JSON.stringify({ synced_at: laptopSyncedAt, ids: ['archived-article-id'] }),
+      });
+
+      await worker.fetch(new Request('https://example.com/api/feed?location=all&client=phone-123&incremental=true'), env, {});
+      expect(JSON.parse(env.KV._store['sync-cursor:laptop-456:all']).synced_at).toBe(laptopSyncedAt);
+
+      // The laptop still gets everything since its own last sync, including what the phone already saw
+      globalThis.fetch.mockClear();
+      const laptop = await (await worker.fetch(new Request('https://example.com/api/feed?location=all&client=laptop-456&incremental=true'), env, {})).json();
+
+      const listUrl = new URL(globalThis.fetch.mock.calls.find(([url]) => url.includes('/api/v3/list'))[0]);
+      expect(listUrl.searchParams.get('updatedAfter')).toBe('2026-01-20T00:00:00.000Z');
+      expect(laptop.changes).toEqual({
+        added: expect.arrayContaining(['01kg2p7xwgmc735p4356a4fajf', '01kg2v32rr4p7bd5zh4zzsbx9g']),
+        updated: [],
+        removed: ['archived-article-id'],
+      });
+    });
+
+    it('does a full sync without a client id and rejects a malformed one', async () => {
+      const env = createMockEnv();
+      const data = await (await worker.fetch(new Request('https://example.com/api/feed?location=all&incremental=true'), env, {})).json();
+      expect(data.incremental).toBe(false);
+      expect(Object.keys(env.KV._store).some(key => key.startsWith('sync-cursor:'))).toBe(false);
+
+      const response = await worker.fetch(new Request('https://example.com/api/feed?client=../x'), env, {});
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/article/:id/text', () => {
+    it('returns speech-ready paragraphs for the document', async () => {
+      const env = createMockEnv();
+      const response = await worker.fetch(new Request('https://example.com/api/article/01kg2p7xwgmc735p4356a4fajf/text'), env, {});
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.title).toContain('Year Zero');
+      expect(data.paragraphs).toContain('What changed?');
+      expect(data.text).not.toMatch(/<[a-z]/i);
+
+      const [url] = globalThis.fetch.mock.calls[0];
+      expect(url).toContain('id=01kg2p7xwgmc735p4356a4fajf');
+      expect(url).toContain('withHtmlContent=true');
+    });
+
+    it('returns 404 for unknown documents', async () => {
+      const env = createMockEnv();
+      const response = await worker.fetch(new Request('https://example.com/api/article/missing-id/text'), env, {});
+
+      expect(response.status).toBe(404);
+      expect((await response.json()).error.code).toBe('document_not_found');
+    });
   });
 
   describe('POST /api/tts', () => {
@@ -263,23 +807,1063 @@ describe('Worker API Endpoints', () => {
     });
   });
 
-  describe('POST /api/archive', () => {
-    it('calls readwise update mock', async () => {
+  describe('TTS delivery options', () => {
+    const tts = (body) => new Request('https://example.com/api/tts', {
+      method: 'POST',
+      body: JSON.stringify({ text: 'Hello world', voice: 'alloy', ...body }),
+    });
+
+    it('forwards speed, instructions and format to OpenAI', async () => {
       const env = createMockEnv();
-      const request = new Request('https://example.com/api/archive', {
-        method: 'POST',
-        body: JSON.stringify({ id: '01kg2v32rr4p7bd5zh4zzsbx9g' })
+      const response = await worker.fetch(tts({ speed: 1.15, instructions: 'Calm newsreader', format: 'aac' }), env, {});
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('Content-Type')).toBe('audio/aac');
+      const [, options] = globalThis.fetch.mock.calls.find(([url]) => String(url).includes('api.openai.com'));
+      expect(JSON.parse(options.body)).toMatchObject({
+        speed: 1.15,
+        instructions: 'Calm newsreader',
+        response_format: 'aac',
       });
-      const response = await worker.fetch(request, env, {});
+    });
+
+    it.each([
+      [{ speed: 10 }, /speed/],
+      [{ speed: '1.2' }, /speed/],
+      [{ instructions: 42 }, /instructions/],
+      [{ format: 'wav' }, /format/],
+    ])('rejects invalid options %j', async (body, message) => {
+      const env = createMockEnv();
+      const response = await worker.fetch(tts(body), env, {});
       const data = await response.json();
 
-      expect(data.success).toBe(true);
-      expect(env.KV.put).toHaveBeenCalledWith(
-        'heard:01kg2v32rr4p7bd5zh4zzsbx9g',
-        expect.any(String),
-        expect.any(Object)
-      );
+      expect(response.status).toBe(400);
+      expect(data.error.message).toMatch(message);
     });
   });
-});
 
+  describe('Long-text TTS', () => {
+    it('synthesizes every segment and streams them as one response', async () => {
+      const env = createMockEnv();
+      const sentences = Array.from({ length: 250 }, (_, i) => `Sentence ${i} is part of a very long article.`);
+      const text = sentences.join(' '); // ~11k chars, distinct so segments don't hit the cache
+      const response = await worker.fetch(new Request('https://example.com/api/tts', {
+        method: 'POST',
+        body: JSON.stringify({ text, voice: 'alloy' }),
+      }), env, {});
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('X-TTS-Segments')).toBe('3');
+      const audio = await response.arrayBuffer();
+
+      const inputs = globalThis.fetch.mock.calls
+        .filter(([url]) => String(url).includes('api.openai.com'))
+        .map(([, options]) => JSON.parse(options.body).input);
+      expect(inputs).toHaveLength(3);
+      expect(inputs.every(input => input.length <= TTS_SEGMENT_CHARS)).toBe(true);
+      expect(inputs.join(' ')).toBe(text);
+      expect(audio.byteLength).toBe(22 * 3); // Three mock MP3 payloads back-to-back
+    });
+
+    it('rejects text over the maximum instead of truncating', async () => {
+      const env = createMockEnv();
+      const response = await worker.fetch(new Request('https://example.com/api/tts', {
+        method: 'POST',
+        body: JSON.stringify({ text: 'a'.repeat(TTS_MAX_INPUT_CHARS + 1) }),
+      }), env, {});
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('TTS providers', () => {
+    it('lists voices per provider from /api/voices', async () => {
+      const env = createMockEnv();
+      const response = await worker.fetch(new Request('https://example.com/api/voices'), env, {});
+      const data = await response.json();
+
+      const openai = data.providers.find(p => p.id === 'openai');
+      const local = data.providers.find(p => p.id === 'local');
+      expect(data.default_provider).toBe('openai');
+      expect(openai.configured).toBe(true);
+      expect(openai.voices.map(v => v.id)).toContain('alloy');
+      expect(local.configured).toBe(false); // No LOCAL_TTS_BASE_URL
+    });
+
+    it('sends local provider requests to the configured base URL', async () => {
+      const env = { ...createMockEnv(), LOCAL_TTS_BASE_URL: 'http://tts.local:8880/v1/' };
+      const response = await worker.fetch(new Request('https://example.com/api/tts', {
+        method: 'POST',
+        body: JSON.stringify({ text: 'Hello world', provider: 'local', voice: 'af_heart', instructions: 'Calm' }),
+      }), env, {});
+
+      expect(response.status).toBe(200);
+      const [url, options] = globalThis.fetch.mock.calls[0];
+      expect(url).toBe('http://tts.local:8880/v1/audio/speech');
+      expect(options.headers.Authorization).toBeUndefined();
+      const body = JSON.parse(options.body);
+      expect(body).toMatchObject({ model: 'kokoro', voice: 'af_heart' });
+      expect(body.instructions).toBeUndefined(); // Not supported by the local provider
+    });
+
+    it('falls back to browser TTS when the provider is not configured', async () => {
+      const env = createMockEnv();
+      const response = await worker.fetch(new Request('https://example.com/api/tts', {
+        method: 'POST',
+        body: JSON.stringify({ text: 'Hello world', provider: 'local' }),
+      }), env, {});
+      const data = await response.json();
+
+      expect(data.use_browser_tts).toBe(true);
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+
+    it('rejects unknown providers and voices', async () => {
+      const env = createMockEnv();
+      const post = (body) => worker.fetch(new Request('https://example.com/api/tts', {
+        method: 'POST',
+        body: JSON.stringify({ text: 'Hello world', ...body }),
+      }), env, {});
+
+      expect((await post({ provider: 'nope' })).status).toBe(400);
+      expect((await post({ provider: 'openai', voice: 'af_heart' })).status).toBe(400);
+    });
+  });
+
+  describe('TTS audio cache', () => {
+    const ttsRequest = (headers = {}) => new Request('https://example.com/api/tts', {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ text: 'Hello world', voice: 'alloy', article_id: 'article-1' }),
+    });
+    const openAICalls = () => globalThis.fetch.mock.calls.filter(([url]) => String(url).includes('api.openai.com'));
+
+    it('stores synthesized audio and serves repeats from KV', async () => {
+      const env = createMockEnv();
+      const first = await worker.fetch(ttsRequest(), env, {});
+      expect(first.headers.get('X-Cache')).toBe('MISS');
+      await first.arrayBuffer();
+
+      const second = await worker.fetch(ttsRequest(), env, {});
+      expect(second.headers.get('X-Cache')).toBe('HIT');
+      expect(second.headers.get('ETag')).toBe(first.headers.get('ETag'));
+      expect((await second.arrayBuffer()).byteLength).toBeGreaterThan(10);
+      expect(openAICalls()).toHaveLength(1);
+    });
+
+    it('returns 304 when the client already has the audio', async () => {
+      const env = createMockEnv();
+      const first = await worker.fetch(ttsRequest(), env, {});
+      const etag = first.headers.get('ETag');
+
+      const response = await worker.fetch(ttsRequest({ 'If-None-Match': etag }), env, {});
+      expect(response.status).toBe(304);
+      expect(openAICalls()).toHaveLength(1);
+    });
+
+    it('purges the cached audio for one article', async () => {
+      const env = createMockEnv();
+      await worker.fetch(ttsRequest(), env, {});
+      expect(Object.keys(env.KV._store).filter(k => k.startsWith('tts:'))).toHaveLength(1);
+
+      const response = await worker.fetch(new Request('https://example.com/api/tts/purge', {
+        method: 'POST',
+        body: JSON.stringify({ id: 'article-1' }),
+      }), env, {});
+      const data = await response.json();
+
+      expect(data.purged).toBe(1);
+      expect(Object.keys(env.KV._store).filter(k => k.startsWith('tts'))).toHaveLength(0);
+    });
+  });
+
+  describe('POST /api/archive', () => {
+    it('calls readwise update mock', async () => {
+      const env = createMockEnv();
+      const request = new Request('https://example.com/api/archive', {
+        method: 'POST',
+        body: JSON.stringify({ id: '01kg2v32rr4p7bd5zh4zzsbx9g' })
+      });
+      const response = await worker.fetch(request, env, {});
+      const data = await response.json();
+
+      expect(data.success).toBe(true);
+      expect(env.KV.put).toHaveBeenCalledWith(
+        'heard:01kg2v32rr4p7bd5zh4zzsbx9g',
+        expect.any(String),
+        expect.any(Object)
+      );
+    });
+
+    const archiveWithReadwiseStatus = async (status, headers = {}) => {
+      const routeFetch = globalThis.fetch.getMockImplementation();
+      globalThis.fetch.mockImplementation(async (url, options) => (
+        url.includes('/api/v3/update') ? new Response('', { status, headers }) : routeFetch(url, options)
+      ));
+      const env = createMockEnv();
+      const response = await worker.fetch(new Request('https://example.com/api/archive', {
+        method: 'POST',
+        body: JSON.stringify({ id: '01kg2v32rr4p7bd5zh4zzsbx9g' }),
+      }), env, {});
+      return { env, response };
+    };
+
+    it('reports a rejected Readwise token as 401 and leaves the article unheard', async () => {
+      const { env, response } = await archiveWithReadwiseStatus(401);
+      expect(response.status).toBe(401);
+      expect((await response.json()).error).toMatchObject({ code: 'readwise_auth_failed', message: expect.stringMatching(/READWISE_TOKEN/), retryable: false });
+      expect(env.KV._store['heard:01kg2v32rr4p7bd5zh4zzsbx9g']).toBeUndefined();
+    });
+
+    it('reports Readwise rate limiting as 429 with Retry-After', async () => {
+      const { response } = await archiveWithReadwiseStatus(429, { 'Retry-After': '90' });
+      expect(response.status).toBe(429);
+      expect(response.headers.get('Retry-After')).toBe('90');
+      expect((await response.json()).error).toMatchObject({ code: 'rate_limited', retryable: true, retry_after: 90 });
+    });
+
+    it('reports missing documents as 404', async () => {
+      const { response } = await archiveWithReadwiseStatus(404);
+      expect(response.status).toBe(404);
+      expect((await response.json()).error.code).toBe('document_not_found');
+    });
+  });
+
+  describe('Undo', () => {
+    const ID = '01kg2p7xwgmc735p4356a4fajf';
+    const post = (env, path, body) => worker.fetch(new Request(`https://example.com${path}`, {
+      method: 'POST',
+      body: JSON.stringify(body),
+    }), env, {});
+    const readwiseCalls = (path) => globalThis.fetch.mock.calls.filter(([url]) => url.includes(path));
+
+    afterEach(() => {
+      vi.restoreAllMocks(); // Date.now
+    });
+
+    it('restores the previous location after an archive', async () => {
+      const env = createMockEnv();
+      await post(env, '/api/archive', { id: ID, location: 'later' });
+      expect(env.KV._store[`heard:${ID}`]).toBeDefined();
+      expect(JSON.parse(env.KV._store[`action:${ID}`])).toMatchObject({ type: 'archive', previous_location: 'later' });
+
+      const response = await post(env, '/api/undo', { id: ID });
+      expect(await response.json()).toEqual({ success: true, undone: 'archive', location: 'later' });
+
+      const updates = readwiseCalls('/api/v3/update').map(([, options]) => JSON.parse(options.body).location);
+      expect(updates).toEqual(['archive', 'later']);
+      expect(env.KV._store[`heard:${ID}`]).toBeUndefined();
+      expect(env.KV._store[`action:${ID}`]).toBeUndefined();
+    });
+
+    it('looks up the previous location when the client does not send it', async () => {
+      const env = createMockEnv();
+      await post(env, '/api/archive', { id: ID });
+      expect(JSON.parse(env.KV._store[`action:${ID}`]).previous_location).toBe('later');
+    });
+
+    it('holds Readwise deletes until the undo window has passed', async () => {
+      const env = createMockEnv();
+      await post(env, '/api/delete', { id: ID });
+      expect(readwiseCalls('/api/v3/delete')).toHaveLength(0);
+
+      await processPendingDeletes(env);
+      expect(readwiseCalls('/api/v3/delete')).toHaveLength(0);
+
+      const later = Date.now() + UNDO_WINDOW * 1000 + 1;
+      vi.spyOn(Date, 'now').mockReturnValue(later);
+      expect(await processPendingDeletes(env)).toEqual({ deleted: 1 });
+      expect(readwiseCalls('/api/v3/delete')).toHaveLength(1);
+      expect(env.KV._store[`pending-delete:${ID}`]).toBeUndefined();
+    });
+
+    it('cancels a held delete', async () => {
+      const env = createMockEnv();
+      await post(env, '/api/delete', { id: ID });
+      await post(env, '/api/undo', { id: ID });
+
+      expect(env.KV._store[`pending-delete:${ID}`]).toBeUndefined();
+      expect(env.KV._store[`heard:${ID}`]).toBeUndefined();
+    });
+
+    it('clears the later marker and restores heard state', async () => {
+      const env = createMockEnv({ [`heard:${ID}`]: '1' });
+      await post(env, '/api/later', { id: ID });
+      expect(env.KV._store[`later:${ID}`]).toBeDefined();
+
+      await post(env, '/api/undo', { id: ID });
+      expect(env.KV._store[`later:${ID}`]).toBeUndefined();
+      expect(env.KV._store[`heard:${ID}`]).toBeDefined();
+    });
+
+    it('returns 404 when there is nothing to undo', async () => {
+      const response = await post(createMockEnv(), '/api/undo', { id: ID });
+      expect(response.status).toBe(404);
+      expect((await response.json()).error.code).toBe('nothing_to_undo');
+    });
+  });
+
+  describe('POST /api/batch', () => {
+    const FEED_ID = '01kg2v32rr4p7bd5zh4zzsbx9g';
+    const LATER_ID = '01kg2p7xwgmc735p4356a4fajf';
+    const batch = (env, operations) => worker.fetch(new Request('https://example.com/api/batch', {
+      method: 'POST',
+      body: JSON.stringify({ operations }),
+    }), env, {});
+    const updateBodies = () => globalThis.fetch.mock.calls
+      .filter(([url]) => url.includes('/api/v3/update'))
+      .map(([url, options]) => ({ id: url.split('/')[6], ...JSON.parse(options.body) }));
+
+    it('runs each operation and reports per-item results', async () => {
+      const env = createMockEnv();
+      const response = await batch(env, [
+        { id: FEED_ID, action: 'archive', location: 'feed' },
+        { id: LATER_ID, action: 'shortlist' },
+        { id: LATER_ID, action: 'add_tag', tag: ' politics ' },
+        { id: FEED_ID, action: 'set_progress', progress: 1 },
+      ]);
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.succeeded).toBe(4);
+      expect(data.results.map(r => r.ok)).toEqual([true, true, true, true]);
+      expect(updateBodies()).toEqual(expect.arrayContaining([
+        { id: FEED_ID, location: 'archive' },
+        { id: LATER_ID, location: 'shortlist' },
+        { id: LATER_ID, tags: ['politics'] },
+        { id: FEED_ID, reading_progress: 1 },
+      ]));
+      expect(env.KV._store[`action:${FEED_ID}`]).toBeDefined(); // Batch archives can be undone too
+    });
+
+    it('reports failures per item without failing the batch', async () => {
+      const routeFetch = globalThis.fetch.getMockImplementation();
+      globalThis.fetch.mockImplementation(async (url, options) => (
+        url.includes(`/api/v3/update/${LATER_ID}/`) ? new Response('', { status: 404 }) : routeFetch(url, options)
+      ));
+      const data = await (await batch(createMockEnv(), [
+        { id: FEED_ID, action: 'shortlist' },
+        { id: LATER_ID, action: 'shortlist' },
+      ])).json();
+
+      expect(data).toMatchObject({ succeeded: 1, failed: 1 });
+      expect(data.results[1]).toMatchObject({ id: LATER_ID, ok: false, status: 404 });
+    });
+
+    it('paces batches larger than one Readwise budget window instead of failing them', async () => {
+      vi.useFakeTimers({ now: new Date('2026-02-01T10:00:00Z') });
+      try {
+        // 30 tag changes (a list and an update each) and 30 moves: past both per-minute budgets
+        const operations = Array.from({ length: 60 }, (_, i) => (i % 2
+          ? { id: LATER_ID, action: 'shortlist' }
+          : { id: FEED_ID, action: 'add_tag', tag: `tag-${i}` }));
+        const pending = batch(createMockEnv(), operations);
+        await vi.advanceTimersByTimeAsync(2 * 60 * 1000); // Two budget windows
+        const data = await (await pending).json();
+
+        expect(data).toMatchObject({ succeeded: operations.length, failed: 0 });
+        expect(updateBodies()).toHaveLength(operations.length);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it('stops calling Readwise once it is rate limited', async () => {
+      const routeFetch = globalThis.fetch.getMockImplementation();
+      globalThis.fetch.mockImplementation(async (url, options) => (
+        url.includes('/api/v3/update') ? new Response('', { status: 429, headers: { 'Retry-After': '120' } }) : routeFetch(url, options)
+      ));
+      const operations = Array.from({ length: BATCH_CONCURRENCY + 4 }, (_, i) => ({ id: `doc-${i}`, action: 'shortlist' }));
+      const data = await (await batch(createMockEnv(), operations)).json();
+
+      expect(data.failed).toBe(operations.length);
+      expect(data.results.every(r => r.status === 429)).toBe(true);
+      expect(data.results.at(-1).retry_after).toBe(120);
+      expect(updateBodies().length).toBeLessThanOrEqual(BATCH_CONCURRENCY);
+    });
+
+    it('rejects malformed operations', async () => {
+      const env = createMockEnv();
+      expect((await batch(env, [])).status).toBe(400);
+      expect((await batch(env, [{ id: FEED_ID, action: 'burn' }])).status).toBe(400);
+      expect((await batch(env, [{ id: FEED_ID, action: 'set_progress', progress: 2 }])).status).toBe(400);
+      expect((await batch(env, [{ id: FEED_ID, action: 'add_tag' }])).status).toBe(400);
+
+      const response = await batch(env, [{ id: FEED_ID, action: 'archive' }, { action: 'burn' }]);
+      expect((await response.json()).error.fields).toEqual({
+        'operations[1].id': 'is required',
+        'operations[1].action': 'must be one of: archive, delete, later, shortlist, add_tag, remove_tag, set_progress',
+      });
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Player actions', () => {
+    const ID = '01kg2p7xwgmc735p4356a4fajf';
+    const post = (env, path, body) => worker.fetch(new Request(`https://example.com${path}`, {
+      method: 'POST',
+      body: JSON.stringify(body),
+    }), env, {});
+    const lastUpdate = () => {
+      const [, options] = globalThis.fetch.mock.calls.filter(([url]) => url.includes('/api/v3/update')).at(-1);
+      return JSON.parse(options.body);
+    };
+
+    it('moves the document to Later in Reader and undoes the move', async () => {
+      const env = createMockEnv();
+      await post(env, '/api/later', { id: ID, location: 'new' });
+      expect(lastUpdate()).toEqual({ location: 'later' });
+      expect(env.KV._store[`later:${ID}`]).toBeDefined();
+
+      await post(env, '/api/undo', { id: ID });
+      expect(lastUpdate()).toEqual({ location: 'new' });
+    });
+
+    it('shortlists the document and can undo it', async () => {
+      const env = createMockEnv();
+      const response = await post(env, '/api/shortlist', { id: ID, location: 'later' });
+      expect(response.status).toBe(200);
+      expect(lastUpdate()).toEqual({ location: 'shortlist' });
+
+      const undo = await (await post(env, '/api/undo', { id: ID })).json();
+      expect(undo).toEqual({ success: true, undone: 'shortlist', location: 'later' });
+      expect(lastUpdate()).toEqual({ location: 'later' });
+    });
+
+    it('adds a tag to the existing tags', async () => {
+      const routeFetch = globalThis.fetch.getMockImplementation();
+      globalThis.fetch.mockImplementation(async (url, options) => (
+        url.includes('/api/v3/list')
+          ? Response.json({ results: [{ id: ID, location: 'later', tags: { politics: { name: 'politics' } } }] })
+          : routeFetch(url, options)
+      ));
+      const data = await (await post(createMockEnv(), '/api/tag', { id: ID, tag: 'research' })).json();
+
+      expect(data.tags).toEqual(['politics', 'research']);
+      expect(lastUpdate()).toEqual({ tags: ['politics', 'research'] });
+    });
+
+    it('appends a dictated note to the document note', async () => {
+      const routeFetch = globalThis.fetch.getMockImplementation();
+      globalThis.fetch.mockImplementation(async (url, options) => (
+        url.includes('/api/v3/list')
+          ? Response.json({ results: [{ id: ID, location: 'later', notes: 'Earlier thought.' }] })
+          : routeFetch(url, options)
+      ));
+      await post(createMockEnv(), '/api/note', { id: ID, note: '  Compare with the Pew numbers. ' });
+
+      expect(lastUpdate()).toEqual({ notes: 'Earlier thought.\n\nCompare with the Pew numbers.' });
+    });
+
+    it('rejects empty tags and oversized notes', async () => {
+      const env = createMockEnv();
+      expect((await post(env, '/api/tag', { id: ID, tag: ' ' })).status).toBe(400);
+      expect((await post(env, '/api/note', { id: ID, note: 'x'.repeat(NOTE_MAX_CHARS + 1) })).status).toBe(400);
+    });
+
+    it('writes listening progress back to reading_progress', async () => {
+      const response = await post(createMockEnv(), '/api/progress', { id: ID, progress: 0.4567 });
+      expect(await response.json()).toEqual({ success: true, reading_progress: 0.4567 });
+      expect(lastUpdate()).toEqual({ reading_progress: 0.457 });
+    });
+
+    it('rejects progress outside 0 to 1', async () => {
+      const env = createMockEnv();
+      expect((await post(env, '/api/progress', { id: ID, progress: 1.5 })).status).toBe(400);
+      expect((await post(env, '/api/progress', { id: ID, progress: '0.5' })).status).toBe(400);
+    });
+
+    it('includes reading_progress in the feed so playback can resume', async () => {
+      const data = await (await worker.fetch(new Request('https://example.com/api/feed'), createMockEnv(), createMockCtx())).json();
+      expect(data.articles.find(a => a.id === ID).reading_progress).toBe(0.39);
+    });
+  });
+
+  describe('POST /api/highlight', () => {
+    const ID = '01kg2p7xwgmc735p4356a4fajf';
+    const highlight = (env, body) => worker.fetch(new Request('https://example.com/api/highlight', {
+      method: 'POST',
+      body: JSON.stringify(body),
+    }), env, {});
+    const sentHighlight = () => {
+      const [, options] = globalThis.fetch.mock.calls.find(([url]) => url.includes('/api/v2/highlights'));
+      return JSON.parse(options.body).highlights[0];
+    };
+
+    it('sends the spoken paragraph and note to the Readwise highlights API', async () => {
+      const response = await highlight(createMockEnv(), {
+        id: ID,
+        text: 'Now the bills are coming due.',
+        note: 'Use in Friday memo',
+        title: 'Trump’s ‘Year Zero’ Is Over',
+        author: 'Matt Bai',
+        source_url: 'https://www.rollingstone.com/politics/year-zero/',
+        paragraph_index: 2,
+      });
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data).toEqual({ success: true, book_id: 48213377, highlight_id: 912000001 });
+      expect(sentHighlight()).toMatchObject({
+        text: 'Now the bills are coming due.',
+        note: 'Use in Friday memo',
+        title: 'Trump’s ‘Year Zero’ Is Over',
+        author: 'Matt Bai',
+        category: 'articles',
+        location: 3,
+        location_type: 'order',
+        highlight_url: `https://read.readwise.io/read/${ID}`,
+      });
+    });
+
+    it('looks up the title from Reader when the client does not send one', async () => {
+      await highlight(createMockEnv(), { id: ID, text: 'A paragraph.' });
+      expect(sentHighlight()).toMatchObject({ author: 'Matt Bai', text: 'A paragraph.' });
+      expect(sentHighlight().title).toContain('Year Zero');
+    });
+
+    it('rejects empty text', async () => {
+      const response = await highlight(createMockEnv(), { id: ID, text: '   ' });
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Multi-user mode', () => {
+    const createMultiUserEnv = () => ({ ...createMockEnv(), READWISE_TOKEN: undefined, TOKEN_ENCRYPTION_KEY: 'test-encryption-key' });
+    const auth = (env, action, body, headers = {}) => worker.fetch(new Request(`https://example.com/api/auth/${action}`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+    }), env, createMockCtx());
+    const sessionFrom = response => response.headers.get('Set-Cookie').split(';')[0];
+
+    it('reports single-user mode when TOKEN_ENCRYPTION_KEY is not set', async () => {
+      const response = await worker.fetch(new Request('https://example.com/api/auth/me'), createMockEnv(), {});
+      expect(await response.json()).toEqual({ multi_user: false });
+      expect((await auth(createMockEnv(), 'login', { username: 'alice', password: 'x' })).status).toBe(404);
+    });
+
+    it('requires a session for API calls', async () => {
+      const response = await worker.fetch(new Request('https://example.com/api/feed'), createMultiUserEnv(), createMockCtx());
+      expect(response.status).toBe(401);
+      expect(await response.json()).toMatchObject({ error: { code: 'auth_required' } });
+    });
+
+    it('signs up, then reads Readwise with the user\'s own token and namespaced KV', async () => {
+      const env = createMultiUserEnv();
+      const signup = await auth(env, 'register', { username: 'alice', password: 'correct horse', readwise_token: 'alice-token' });
+      expect(signup.status).toBe(201);
+      expect(signup.headers.get('Set-Cookie')).toContain('HttpOnly');
+
+      const ctx = createMockCtx();
+      const response = await worker.fetch(new Request('https://example.com/api/feed', {
+        headers: { Cookie: sessionFrom(signup) },
+      }), env, ctx);
+      await ctx._settle();
+      expect(response.status).toBe(200);
+
+      const [, options] = globalThis.fetch.mock.calls.find(([url]) => url.includes('/api/v3/list'));
+      expect(options.headers.Authorization).toBe('Token alice-token');
+      const userKeys = Object.keys(env.KV._store).filter(key => !/^(account:|session:)/.test(key));
+      expect(userKeys.length).toBeGreaterThan(0);
+      expect(userKeys.every(key => /^u:[0-9a-f-]{36}:/.test(key))).toBe(true);
+    });
+
+    it('accepts the session token as a bearer token and ends it on sign-out', async () => {
+      const env = createMultiUserEnv();
+      await auth(env, 'register', { username: 'alice', password: 'correct horse', readwise_token: 'alice-token' });
+      const { token } = await (await auth(env, 'login', { username: 'Alice', password: 'correct horse' })).json();
+      const me = () => worker.fetch(new Request('https://example.com/api/auth/me', {
+        headers: { Authorization: `Bearer ${token}` },
+      }), env, {});
+
+      expect(await (await me()).json()).toEqual({ multi_user: true, username: 'alice' });
+      await auth(env, 'logout', {}, { Authorization: `Bearer ${token}` });
+      expect((await me()).status).toBe(401);
+    });
+
+    it('pre-syncs one account after another', async () => {
+      const env = createMultiUserEnv();
+      await auth(env, 'register', { username: 'alice', password: 'correct horse', readwise_token: 'alice-token' });
+      await auth(env, 'register', { username: 'bob', password: 'battery staple', readwise_token: 'bob-token' });
+      globalThis.fetch.mockClear();
+
+      const ctx = createMockCtx();
+      await worker.scheduled({ cron: PRESYNC_CRON }, env, ctx);
+      await ctx._settle();
+
+      expect(ctx.waitUntil).toHaveBeenCalledTimes(1);
+      const tokens = globalThis.fetch.mock.calls
+        .filter(([url]) => url.includes('readwise.io'))
+        .map(([, options]) => options.headers.Authorization);
+      const firstBob = tokens.indexOf('Token bob-token');
+      expect(firstBob).toBeGreaterThan(0);
+      expect(tokens.slice(firstBob).every(token => token === 'Token bob-token')).toBe(true);
+    });
+
+    it('rejects wrong passwords and Readwise tokens that fail the check', async () => {
+      const env = createMultiUserEnv();
+      await auth(env, 'register', { username: 'alice', password: 'correct horse', readwise_token: 'alice-token' });
+
+      expect((await auth(env, 'login', { username: 'alice', password: 'wrong horse' })).status).toBe(401);
+      const badToken = await auth(env, 'register', { username: 'bob', password: 'battery staple', readwise_token: 'invalid-token' });
+      expect(badToken.status).toBe(400);
+    });
+  });
+
+  describe('API authentication', () => {
+    const createLockedEnv = () => ({
+      ...createMockEnv(), APP_PASSPHRASE: 'open sesame', SESSION_SECRET: 'test-session-secret-0123456789abcdef', API_KEYS: 'script-key',
+    });
+    const call = (env, path, init = {}, ctx = createMockCtx()) => worker.fetch(new Request(`https://example.com${path}`, init), env, ctx);
+
+    it('rejects unauthenticated paid and mutating calls once a passphrase is set', async () => {
+      const env = createLockedEnv();
+      const tts = await call(env, '/api/tts', { method: 'POST', body: JSON.stringify({ text: 'Hello' }) });
+      const del = await call(env, '/api/delete', { method: 'POST', body: JSON.stringify({ id: 'doc-1' }) });
+
+      expect(tts.status).toBe(401);
+      expect(await tts.json()).toMatchObject({ error: { code: 'auth_required', login: { accounts: false, passphrase: true, totp: false } } });
+      expect(del.status).toBe(401);
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+
+    it('does not route API paths nested under another prefix around the sign-in check', async () => {
+      const env = createLockedEnv();
+      for (const path of ['/x/api/delete', '/x/api/tts', '/x/api/batch', '/api/v1/x/api/delete', '/api/../x/api/delete']) {
+        const response = await call(env, path, { method: 'POST', body: JSON.stringify({ id: 'doc-1', text: 'Hello', operations: [] }) });
+        expect(response.status).toBe(404);
+      }
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+
+    it('keeps the voice list public', async () => {
+      expect((await call(createLockedEnv(), '/api/voices')).status).toBe(200);
+    });
+
+    it('signs in with the passphrase and accepts the session cookie', async () => {
+      const env = createLockedEnv();
+      const login = await call(env, '/api/auth/login', { method: 'POST', body: JSON.stringify({ passphrase: 'open sesame' }) });
+      expect(login.status).toBe(200);
+      const cookie = login.headers.get('Set-Cookie').split(';')[0];
+
+      const me = await call(env, '/api/auth/me', { headers: { Cookie: cookie } });
+      expect(await me.json()).toEqual({ multi_user: false, signed_in: true });
+      const ctx = createMockCtx();
+      expect((await call(env, '/api/feed', { headers: { Cookie: cookie } }, ctx)).status).toBe(200);
+      await ctx._settle();
+    });
+
+    it('accepts an API key for scripts', async () => {
+      const response = await call(createLockedEnv(), '/api/tts', {
+        method: 'POST',
+        headers: { Authorization: 'Bearer script-key' },
+        body: JSON.stringify({ text: 'Hello' }),
+      });
+      expect(response.status).toBe(200);
+    });
+
+    it('asks for the team passphrase to create an account in multi-user mode', async () => {
+      const env = { ...createLockedEnv(), TOKEN_ENCRYPTION_KEY: 'test-encryption-key' };
+      const register = passphrase => call(env, '/api/auth/register', {
+        method: 'POST',
+        body: JSON.stringify({ username: 'alice', password: 'correct horse', readwise_token: 'alice-token', passphrase }),
+      });
+
+      expect((await register('guess')).status).toBe(401);
+      expect((await register('open sesame')).status).toBe(201);
+    });
+  });
+
+  describe('Usage metering', () => {
+    const usage = async env => (await worker.fetch(new Request('https://example.com/api/usage?days=1&months=1'), env, {})).json();
+    const tts = (env, ctx, text = 'Hello there.') => worker.fetch(new Request('https://example.com/api/tts', {
+      method: 'POST',
+      body: JSON.stringify({ text }),
+    }), env, ctx);
+
+    it('records Claude token usage for each queued summary', async () => {
+      const env = createMockEnv();
+      await worker.fetch(new Request('https://example.com/api/feed'), env, {});
+      const { processed } = await processSummaryQueue(env, 2);
+      expect(processed).toBe(2);
+
+      const data = await usage(env);
+      expect(data.today.summaries).toMatchObject({ calls: processed, input_tokens: 50 * processed, output_tokens: 30 * processed });
+      expect(data.today.models[CLAUDE_MODEL].cost_usd).toBeCloseTo(0.00005 * processed);
+      expect(data.month.cost_usd).toBe(data.today.cost_usd);
+      expect(data.calls).toHaveLength(processed);
+      expect(data.calls[0]).toMatchObject({ kind: 'summaries', input_tokens: 50, output_tokens: 30 });
+      expect(Date.parse(data.calls[0].at)).not.toBeNaN();
+    });
+
+    it('records synthesized TTS characters but not cache hits', async () => {
+      const env = createMockEnv();
+      const ctx = createMockCtx();
+      await tts(env, ctx);
+      await ctx._settle();
+      await tts(env, ctx);
+      await ctx._settle();
+
+      expect((await usage(env)).today.tts).toMatchObject({ calls: 1, characters: 'Hello there.'.length });
+    });
+
+    it('falls back to browser TTS for uncached text once the TTS budget is spent', async () => {
+      const env = { ...createMockEnv(), MONTHLY_TTS_BUDGET_USD: '0' };
+      const response = await tts(env, createMockCtx());
+
+      expect(await response.json()).toMatchObject({ use_browser_tts: true, reason: 'budget_exceeded' });
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+
+    it('serves long text from cache once the TTS budget is spent if every segment is cached', async () => {
+      const long = 'A sentence of article text. '.repeat(Math.ceil(TTS_SEGMENT_CHARS / 28) + 10);
+      const env = createMockEnv();
+      const ctx = createMockCtx();
+      await (await tts(env, ctx, long)).arrayBuffer();
+      await ctx._settle();
+
+      globalThis.fetch.mockClear();
+      const overBudgetEnv = { ...env, MONTHLY_TTS_BUDGET_USD: '0' };
+      const response = await tts(overBudgetEnv, createMockCtx(), long);
+      expect(response.headers.get('Content-Type')).toBe('audio/mpeg');
+      expect(response.headers.get('X-TTS-Segments')).toBe('2');
+      expect((await response.arrayBuffer()).byteLength).toBeGreaterThan(0);
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+
+      // One uncached segment sends the whole text to the browser voice
+      const partly = await tts(overBudgetEnv, createMockCtx(), `${long} One new sentence.`);
+      expect(await partly.json()).toMatchObject({ use_browser_tts: true, reason: 'budget_exceeded' });
+    });
+
+    it('stops the pre-sync as soon as the summary budget is reached', async () => {
+      // Every summary costs more than the whole budget
+      const env = { ...createMockEnv(), MONTHLY_SUMMARY_BUDGET_USD: '0.000001' };
+      const { summarized } = await runPresync(env, ['all']);
+
+      expect(summarized).toBe(1);
+      expect((await usage(env)).month.summaries.calls).toBe(1);
+    });
+
+    it('serves cached summaries only once the summary budget is spent', async () => {
+      const env = { ...createMockEnv({ [cacheKeyFor('01kg2v32rr4p7bd5zh4zzsbx9g')]: 'Cached summary' }), MONTHLY_SUMMARY_BUDGET_USD: '0' };
+      const data = await (await worker.fetch(new Request('https://example.com/api/feed'), env, createMockCtx())).json();
+
+      expect(data.summary_budget_exceeded).toBe(true);
+      expect(data.pending).toBe(0);
+      expect(data.articles.find(a => a.id === '01kg2v32rr4p7bd5zh4zzsbx9g').summary).toBe('Cached summary');
+      expect(data.articles.filter(a => !a.summary).every(a => a.summary_status === 'over_budget')).toBe(true);
+      expect((await getQueuedIds(env)).size).toBe(0);
+    });
+
+    it('rejects out-of-range report windows', async () => {
+      const response = await worker.fetch(new Request('https://example.com/api/usage?days=400'), createMockEnv(), {});
+      expect(response.status).toBe(400);
+      const calls = await worker.fetch(new Request('https://example.com/api/usage?calls=5000'), createMockEnv(), {});
+      expect(calls.status).toBe(400);
+    });
+  });
+
+  describe('Routing', () => {
+    const post = (path, body = '{}') => new Request(`https://example.com${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+    });
+
+    it('matches exact paths under /api/v1 and /api', () => {
+      expect(matchRoute('GET', '/api/v1/article/a%2Fb/text')).toMatchObject({ route: { path: '/article/:id/text' }, params: { id: 'a/b' } });
+      expect(matchRoute('GET', '/api/feed')).toMatchObject({ route: { path: '/feed' } });
+      expect(matchRoute('POST', '/api/v1/tts/purge')).toMatchObject({ route: { path: '/tts/purge' } });
+      expect(matchRoute('GET', '/api/feed/')).toBeNull();
+      expect(matchRoute('GET', '/api/v2/feed')).toBeNull();
+      expect(matchRoute('POST', '/foo/api/delete')).toBeNull();
+      expect(matchRoute('POST', '/api/feed')).toEqual({ allowed: ['GET'] });
+    });
+
+    it('serves the same handlers under /api/v1', async () => {
+      const response = await worker.fetch(new Request('https://example.com/api/v1/voices'), createMockEnv(), {});
+      expect(response.status).toBe(200);
+      expect((await response.json()).providers.length).toBeGreaterThan(0);
+
+      const archive = await worker.fetch(post('/api/v1/archive?mock=true', JSON.stringify({ id: 'x' })), createMockEnv(), {});
+      expect(await archive.json()).toEqual({ success: true, mock: true });
+    });
+
+    it('answers unknown API paths with a 404 error envelope', async () => {
+      const env = createMockEnv();
+      const response = await worker.fetch(post('/api/delete-me', JSON.stringify({ id: '01kg2v32rr4p7bd5zh4zzsbx9g' })), env, {});
+
+      expect(response.status).toBe(404);
+      expect(await response.json()).toEqual({ error: { code: 'not_found', message: 'No API route at /api/delete-me', retryable: false } });
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+
+      const outside = await worker.fetch(post('/foo/api/delete'), env, {});
+      expect(outside.status).toBe(404);
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+
+    it('rejects the wrong method with 405 and an Allow header', async () => {
+      const feed = await worker.fetch(post('/api/feed'), createMockEnv(), {});
+      expect(feed.status).toBe(405);
+      expect(feed.headers.get('Allow')).toBe('GET');
+      expect((await feed.json()).error).toMatchObject({ code: 'method_not_allowed', retryable: false });
+
+      const tts = await worker.fetch(new Request('https://example.com/api/v1/tts'), createMockEnv(), {});
+      expect(tts.status).toBe(405);
+      expect(tts.headers.get('Allow')).toBe('POST');
+    });
+
+    it('reports a malformed request body as invalid_json', async () => {
+      const response = await worker.fetch(post('/api/tag', '{not json'), createMockEnv(), {});
+      expect(response.status).toBe(400);
+      expect((await response.json()).error).toMatchObject({ code: 'invalid_json', retryable: false });
+    });
+
+    it('reports corrupt stored JSON as a server error, not invalid_json', async () => {
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const env = createMockEnv({ 'action:doc-1': '{corrupt' });
+
+      const response = await worker.fetch(post('/api/undo', JSON.stringify({ id: 'doc-1' })), env, {});
+      consoleError.mockRestore();
+
+      expect(response.status).toBe(500);
+      expect((await response.json()).error).toMatchObject({ code: 'internal_error', retryable: true });
+    });
+
+    it('reports unexpected failures as retryable internal errors', async () => {
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const env = createMockEnv();
+      env.KV.get.mockRejectedValue(new Error('KV unavailable'));
+
+      const response = await worker.fetch(post('/api/undo', JSON.stringify({ id: 'x' })), env, {});
+      consoleError.mockRestore();
+
+      expect(response.status).toBe(500);
+      expect(await response.json()).toEqual({ error: { code: 'internal_error', message: 'KV unavailable', retryable: true } });
+    });
+  });
+
+  describe('Request validation', () => {
+    const post = (path, body) => worker.fetch(new Request(`https://example.com${path}`, {
+      method: 'POST',
+      body: JSON.stringify(body),
+    }), createMockEnv(), {});
+    const fieldsOf = async response => {
+      expect(response.status).toBe(400);
+      const { error } = await response.json();
+      expect(error.code).toBe('invalid_request');
+      return error.fields;
+    };
+
+    it.each([
+      ['/api/archive', {}, { id: 'is required' }],
+      ['/api/delete', { id: 42 }, { id: 'must be a Reader document ID' }],
+      ['/api/later', { id: '../../v3/delete/x' }, { id: 'must be a Reader document ID' }],
+      ['/api/shortlist', { id: 'abc', location: 'trash' }, { location: 'must be one of: new, later, shortlist, archive, feed' }],
+      ['/api/undo', { id: '' }, { id: 'must be a Reader document ID' }],
+      ['/api/tts/purge', {}, { id: 'is required' }],
+    ])('rejects a bad document ID on %s before calling Readwise', async (path, body, fields) => {
+      expect(await fieldsOf(await post(path, body))).toEqual(fields);
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+
+    it('validates undo bodies in mock mode too', async () => {
+      expect(await fieldsOf(await post('/api/undo?mock=true', { id: '' }))).toEqual({ id: 'must be a Reader document ID' });
+      expect(await (await post('/api/undo?mock=true', { id: 'abc' })).json()).toEqual({ success: true, mock: true });
+    });
+
+    it('rejects TTS text that is not a string', async () => {
+      expect(await fieldsOf(await post('/api/tts', { text: { length: 3 } }))).toEqual({ text: 'must be a string' });
+      expect(await fieldsOf(await post('/api/tts', {}))).toEqual({ text: 'is required' });
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+
+    it('only accepts voices of the chosen provider', async () => {
+      const fields = await fieldsOf(await post('/api/tts', { text: 'Hi', provider: 'local', voice: 'alloy' }));
+      expect(fields).toEqual({ voice: 'must be one of: af_heart, af_bella, am_michael, bf_emma, bm_george' });
+
+      const unknown = await fieldsOf(await post('/api/tts', { text: 'Hi', provider: 'acme', voice: 'alloy' }));
+      expect(Object.keys(unknown)).toEqual(['provider']);
+    });
+
+    it('reports all invalid TTS options together', async () => {
+      const fields = await fieldsOf(await post('/api/tts', { text: 'Hi', speed: 9, format: 'wav', article_id: 'not an id' }));
+      expect(Object.keys(fields)).toEqual(['speed', 'format', 'article_id']);
+    });
+
+    it('needs a title for highlights without a document ID', async () => {
+      expect(await fieldsOf(await post('/api/highlight', { text: 'A paragraph.' }))).toEqual({ title: 'is required' });
+      expect(await fieldsOf(await post('/api/highlight', { id: 'abc', text: 'A paragraph.', paragraph_index: -1 })))
+        .toEqual({ paragraph_index: 'must be a whole number of at least 0' });
+    });
+
+    it('rejects bodies that are not JSON objects', async () => {
+      expect(await fieldsOf(await post('/api/tag', ['abc', 'work']))).toEqual({ body: 'must be a JSON object' });
+    });
+  });
+
+  describe('Offline support', () => {
+    // Runs the service worker script against a fake worker scope and Cache Storage
+    const loadServiceWorker = async (networkFetch) => {
+      const script = await (await worker.fetch(new Request('https://example.com/sw.js'), createMockEnv(), {})).text();
+      const handlers = {};
+      const stores = new Map();
+      const caches = {
+        open: async (name) => {
+          if (!stores.has(name)) stores.set(name, new Map());
+          const store = stores.get(name);
+          return {
+            addAll: async (urls) => urls.forEach(url => store.set(url, new Response(`cached ${url}`))),
+            put: async (url, response) => store.set(url, response),
+          };
+        },
+        keys: async () => [...stores.keys()],
+        delete: async (name) => stores.delete(name),
+        match: async (url) => [...stores.values()].map(store => store.get(url)).find(Boolean)?.clone(),
+      };
+      const self = {
+        location: new URL('https://example.com/sw.js'),
+        addEventListener: (type, handler) => { handlers[type] = handler; },
+        skipWaiting: vi.fn(),
+        clients: { claim: vi.fn() },
+      };
+      new Function('self', 'caches', 'fetch', script)(self, caches, networkFetch);
+
+      const dispatch = async (type, request) => {
+        let pending = null;
+        let responded = null;
+        handlers[type]({ request, waitUntil: p => { pending = p; }, respondWith: p => { responded = p; } });
+        await pending;
+        return responded;
+      };
+      return { dispatch, stores };
+    };
+
+    it('serves a service worker that caches the app shell', async () => {
+      const response = await worker.fetch(new Request('https://example.com/sw.js'), createMockEnv(), {});
+      expect(response.status).toBe(200);
+      expect(response.headers.get('Content-Type')).toBe('application/javascript');
+
+      const { dispatch, stores } = await loadServiceWorker(vi.fn());
+      await dispatch('install');
+      expect([...stores.keys()]).toEqual(['shell-v1']);
+      expect([...stores.get('shell-v1').keys()]).toEqual(['/', '/manifest.json', '/favicon.ico']);
+    });
+
+    it('falls back to the cached shell offline and leaves the API to the network', async () => {
+      const offline = vi.fn(async () => { throw new TypeError('Failed to fetch'); });
+      const { dispatch } = await loadServiceWorker(offline);
+      await dispatch('install');
+
+      // Node's Request can't be a navigation, so pass its shape
+      const page = await dispatch('fetch', { url: 'https://example.com/?mock=true', method: 'GET', mode: 'navigate' });
+      expect(await (await page).text()).toBe('cached /');
+      const lost = await dispatch('fetch', { url: 'https://example.com/elsewhere', method: 'GET', mode: 'navigate' });
+      expect(await (await lost).text()).toBe('cached /');
+      expect(await dispatch('fetch', new Request('https://example.com/api/v1/feed'))).toBeNull();
+      expect(await dispatch('fetch', new Request('https://example.com/api/v1/tts', { method: 'POST', body: '{}' }))).toBeNull();
+    });
+
+    it('drops shell caches from older versions on activate', async () => {
+      const { dispatch, stores } = await loadServiceWorker(vi.fn());
+      stores.set('shell-v0', new Map());
+      stores.set('offline-audio', new Map());
+      await dispatch('activate');
+      expect([...stores.keys()]).toEqual(['offline-audio']);
+    });
+
+    it('registers the service worker and offers offline downloads', async () => {
+      const html = await (await worker.fetch(new Request('https://example.com/'), createMockEnv(), {})).text();
+      expect(html).toContain("navigator.serviceWorker.register('/sw.js')");
+      expect(html).toContain(`Download next ${OFFLINE_DOWNLOAD_COUNT} summaries for offline`);
+    });
+  });
+
+  describe('Client', () => {
+    // Any DOM lookup returns an element that accepts every property and call
+    const fakeElement = () => new Proxy(function () {}, {
+      get: (target, prop) => {
+        if (prop === Symbol.toPrimitive) return () => '';
+        if (prop === Symbol.iterator) return function* () {};
+        return prop in target ? target[prop] : fakeElement();
+      },
+      apply: () => fakeElement(),
+    });
+
+    // Runs the app script with a fake DOM and hands back the functions a test needs
+    const loadClient = async (clientFetch, articles) => {
+      const html = await (await worker.fetch(new Request('https://example.com/'), createMockEnv(), {})).text();
+      const script = html.match(/<script>([\s\S]*)<\/script>/)[1];
+      const storage = new Map();
+      const localStorage = {
+        getItem: key => storage.get(key) ?? null,
+        setItem: (key, value) => storage.set(key, String(value)),
+        removeItem: key => storage.delete(key),
+      };
+      const window = { location: new URL('https://example.com/') };
+      const navigator = { onLine: true };
+      return new Function('window', 'document', 'localStorage', 'navigator', 'fetch', `${script}
+        articles = arguments[5];
+        return { postAction, runBatch, pollPendingSummaries, selectedIds, articles: () => articles };
+      `)(window, fakeElement(), localStorage, navigator, clientFetch, articles);
+    };
+
+    const errorFetch = (status, code) => vi.fn(async () => new Response(
+      JSON.stringify({ error: { code, message: code, retryable: false } }), { status }
+    ));
+
+    it('drops an article from the list when Readwise no longer has it', async () => {
+      const client = await loadClient(errorFetch(404, 'document_not_found'), [{ id: 'a1' }, { id: 'a2' }]);
+      await expect(client.postAction('/api/v1/archive', { id: 'a1' })).rejects.toThrow('Article no longer exists in Readwise');
+      expect(client.articles().map(a => a.id)).toEqual(['a2']);
+    });
+
+    it('sends each article\'s location with batch moves', async () => {
+      const clientFetch = vi.fn(async () => new Response(JSON.stringify({ results: [], succeeded: 0, failed: 0 })));
+      const client = await loadClient(clientFetch, [{ id: 'a1', location: 'new' }, { id: 'a2', location: 'later' }]);
+      for (const action of ['archive', 'later', 'shortlist']) {
+        ['a1', 'a2'].forEach(id => client.selectedIds.add(id));
+        await client.runBatch(action);
+        const { operations } = JSON.parse(clientFetch.mock.lastCall[1].body);
+        expect(operations).toEqual([{ id: 'a1', action, location: 'new' }, { id: 'a2', action, location: 'later' }]);
+      }
+    });
+
+    // Answers /api/summaries with a summary for every id asked about
+    const summariesFetch = (extra = {}) => vi.fn(async (url) => {
+      const ids = new URL(url, 'https://example.com').searchParams.get('ids').split(',').map(item => item.split(':')[0]);
+      const summaries = extra.summary_budget_exceeded ? {} : Object.fromEntries(ids.map(id => [id, `Summary ${id}`]));
+      return new Response(JSON.stringify({ summaries, pending: extra.summary_budget_exceeded ? ids : [], ...extra }));
+    });
+    const requestedIds = clientFetch => clientFetch.mock.calls.flatMap(([url]) =>
+      new URL(url, 'https://example.com').searchParams.get('ids').split(',').map(item => item.split(':')[0]));
+
+    it('polls every pending summary in chunks and skips ones over the budget', async () => {
+      const clientFetch = summariesFetch();
+      const pending = Array.from({ length: MAX_ARTICLES + 5 }, (_, i) => ({ id: `p${i}`, location: 'feed', summary_status: 'pending' }));
+      const client = await loadClient(clientFetch, [...pending, { id: 'spent', location: 'feed', summary_status: 'over_budget' }]);
+      await client.pollPendingSummaries();
+
+      expect(clientFetch).toHaveBeenCalledTimes(2);
+      expect(requestedIds(clientFetch)).toEqual(pending.map(a => a.id));
+      expect(client.articles().filter(a => a.summary)).toHaveLength(pending.length);
+    });
+
+    it('stops polling once the summary budget is reached', async () => {
+      const clientFetch = summariesFetch({ summary_budget_exceeded: true });
+      const client = await loadClient(clientFetch, [{ id: 'p1', location: 'feed', summary_status: 'pending' }]);
+      await client.pollPendingSummaries();
+      expect(client.articles()[0].summary_status).toBe('over_budget');
+
+      await client.pollPendingSummaries();
+      expect(clientFetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('keeps the article when there is nothing to undo', async () => {
+      const client = await loadClient(errorFetch(404, 'nothing_to_undo'), [{ id: 'a1' }, { id: 'a2' }]);
+      await expect(client.postAction('/api/v1/undo', { id: 'a1' })).rejects.toMatchObject({ code: 'nothing_to_undo' });
+      expect(client.articles().map(a => a.id)).toEqual(['a1', 'a2']);
+    });
+  });
+});